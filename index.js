@@ -17,8 +17,22 @@ const __dirname = path.dirname(__filename);
 // Import routes
 import authRoutes from './routes/auth.js';
 import listingsRoutes from './routes/listings.js';
+import calendarSyncRoutes from './routes/calendarSync.js';
+import listingImageRoutes from './routes/listingImages.js';
 import bookingsRoutes from './routes/bookings.js';
+import reviewRoutes from './routes/reviews.js';
+import conversationRoutes from './routes/conversations.js';
+import notificationRoutes from './routes/notifications.js';
+import wishlistRoutes from './routes/wishlists.js';
 import userRoutes from './routes/users.js';
+import paymentRoutes from './routes/payments.js';
+import exchangeRateRoutes from './routes/exchangeRates.js';
+import adminRoutes from './routes/admin.js';
+
+// Import background jobs
+import { startBookingLifecycleJob } from './jobs/bookingLifecycle.js';
+import { startBookingHoldJob } from './jobs/bookingHolds.js';
+import { startImageCleanupJob } from './jobs/imageCleanup.js';
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -39,6 +53,8 @@ app.use(cors({
   origin: process.env.CLIENT_URL || 'http://localhost:5173',
   credentials: true
 }));
+// Payment webhooks are verified against the raw request body
+app.use('/api/payments/webhook', express.raw({ type: 'application/json' }));
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
@@ -49,14 +65,28 @@ app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
 const mongoURI = process.env.MONGODB_URI || 'mongodb://localhost:27017/stayfinder';
 
 mongoose.connect(mongoURI)
-.then(() => console.log('✅ Connected to MongoDB'))
+.then(() => {
+  console.log('✅ Connected to MongoDB');
+  startBookingLifecycleJob();
+  startBookingHoldJob();
+  startImageCleanupJob();
+})
 .catch((err) => console.error('❌ MongoDB connection error:', err));
 
 // Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/listings', listingsRoutes);
+app.use('/api/listings', calendarSyncRoutes);
+app.use('/api/listings', listingImageRoutes);
 app.use('/api/bookings', bookingsRoutes);
+app.use('/api/reviews', reviewRoutes);
+app.use('/api/conversations', conversationRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/wishlists', wishlistRoutes);
 app.use('/api/users', userRoutes);
+app.use('/api/payments', paymentRoutes);
+app.use('/api/exchange-rates', exchangeRateRoutes);
+app.use('/api/admin', adminRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -77,6 +107,11 @@ app.use((err, req, res, next) => {
     return res.status(400).json({ message: 'Validation failed', errors });
   }
   
+  // Upload errors (file too large, too many files, ...)
+  if (err.name === 'MulterError') {
+    return res.status(400).json({ message: err.message });
+  }
+  
   // Mongoose duplicate key error
   if (err.code === 11000) {
     return res.status(400).json({ message: 'Duplicate entry found' });
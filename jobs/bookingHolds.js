@@ -0,0 +1,31 @@
+import { declineOverdueRequests, expireUnpaidHolds } from '../services/bookings.js';
+
+const DEFAULT_INTERVAL_MS = 60 * 1000; // 1 minute
+
+// Periodically expire unpaid bookings whose hold has lapsed and decline
+// requests the host didn't answer in time
+export const startBookingHoldJob = (
+  intervalMs = parseInt(process.env.BOOKING_HOLD_SWEEP_INTERVAL_MS) || DEFAULT_INTERVAL_MS
+) => {
+  const run = async () => {
+    try {
+      const expired = await expireUnpaidHolds();
+      if (expired > 0) {
+        console.log(`⌛ Expired ${expired} unpaid booking hold(s)`);
+      }
+
+      const declined = await declineOverdueRequests();
+      if (declined > 0) {
+        console.log(`⌛ Declined ${declined} unanswered booking request(s)`);
+      }
+    } catch (error) {
+      console.error('Booking hold job error:', error);
+    }
+  };
+
+  run();
+  const timer = setInterval(run, intervalMs);
+  // Don't keep the process alive just for this job
+  timer.unref();
+  return timer;
+};
@@ -0,0 +1,34 @@
+import Booking from '../models/Booking.js';
+
+const DEFAULT_INTERVAL_MS = 60 * 60 * 1000; // 1 hour
+
+// Mark confirmed bookings as completed once their check-out date has passed
+export const completeFinishedBookings = async (now = new Date()) => {
+  const result = await Booking.updateMany(
+    { status: 'confirmed', checkOut: { $lte: now } },
+    { $set: { status: 'completed', completedAt: now } }
+  );
+  return result.modifiedCount;
+};
+
+// Run the lifecycle sweep periodically inside the API process
+export const startBookingLifecycleJob = (
+  intervalMs = parseInt(process.env.BOOKING_JOB_INTERVAL_MS) || DEFAULT_INTERVAL_MS
+) => {
+  const run = async () => {
+    try {
+      const completed = await completeFinishedBookings();
+      if (completed > 0) {
+        console.log(`✅ Marked ${completed} booking(s) as completed`);
+      }
+    } catch (error) {
+      console.error('Booking lifecycle job error:', error);
+    }
+  };
+
+  run();
+  const timer = setInterval(run, intervalMs);
+  // Don't keep the process alive just for this job
+  timer.unref();
+  return timer;
+};
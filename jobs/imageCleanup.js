@@ -0,0 +1,24 @@
+import { cleanupOrphanedImages } from '../services/listingImages.js';
+
+const DEFAULT_INTERVAL_MS = 24 * 60 * 60 * 1000; // 1 day
+
+// Periodically delete uploaded listing images no listing refers to
+export const startImageCleanupJob = (
+  intervalMs = parseInt(process.env.IMAGE_CLEANUP_INTERVAL_MS) || DEFAULT_INTERVAL_MS
+) => {
+  const run = async () => {
+    try {
+      const removed = await cleanupOrphanedImages();
+      if (removed.length > 0) {
+        console.log(`🧹 Deleted ${removed.length} orphaned listing image(s)`);
+      }
+    } catch (error) {
+      console.error('Image cleanup job error:', error);
+    }
+  };
+
+  const timer = setInterval(run, intervalMs);
+  // Don't keep the process alive just for this job
+  timer.unref();
+  return timer;
+};
@@ -1,15 +1,45 @@
 import jwt from 'jsonwebtoken';
+import User from '../models/User.js';
 
-const auth = (req, res, next) => {
+const getToken = (req) => req.header('Authorization')?.replace('Bearer ', '');
+
+// Verify the token and load the account, setting req.user on success.
+// Returns { status, message } when the token can't be used.
+const authenticate = async (token, req) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+  // Load the account on every request so suspensions and role changes apply immediately
+  const user = await User.findById(decoded.userId).select('role isSuspended tokenVersion');
+  if (!user) {
+    return { status: 401, message: 'User no longer exists' };
+  }
+
+  // Tokens issued before a logout-everywhere or password change are revoked
+  if ((decoded.tokenVersion || 0) !== (user.tokenVersion || 0)) {
+    return { status: 401, message: 'Session has been revoked' };
+  }
+
+  if (user.isSuspended) {
+    return { status: 403, message: 'Your account has been suspended' };
+  }
+
+  req.user = { ...decoded, role: user.role };
+  return null;
+};
+
+const auth = async (req, res, next) => {
   try {
-    const token = req.header('Authorization')?.replace('Bearer ', '');
+    const token = getToken(req);
     
     if (!token) {
       return res.status(401).json({ message: 'No token provided, access denied' });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.user = decoded;
+    const failure = await authenticate(token, req);
+    if (failure) {
+      return res.status(failure.status).json({ message: failure.message });
+    }
+
     next();
   } catch (error) {
     if (error.name === 'TokenExpiredError') {
@@ -22,4 +52,21 @@ const auth = (req, res, next) => {
   }
 };
 
+// For public routes that personalize their response: sets req.user when a
+// usable token is sent and otherwise carries on anonymously
+export const optionalAuth = async (req, res, next) => {
+  try {
+    const token = getToken(req);
+    if (token) {
+      await authenticate(token, req);
+    }
+    next();
+  } catch (error) {
+    if (error.name === 'TokenExpiredError' || error.name === 'JsonWebTokenError') {
+      return next();
+    }
+    res.status(500).json({ message: 'Server error in authentication' });
+  }
+};
+
 export default auth;
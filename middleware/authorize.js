@@ -0,0 +1,50 @@
+import User from '../models/User.js';
+
+// Permissions granted to each role; '*' grants everything
+export const ROLE_PERMISSIONS = {
+  guest: ['bookings:create', 'reviews:create'],
+  host: ['bookings:create', 'reviews:create', 'listings:create', 'listings:manage'],
+  admin: ['*']
+};
+
+export const hasPermission = (role, permission) => {
+  const permissions = ROLE_PERMISSIONS[role] || [];
+  return permissions.includes('*') || permissions.includes(permission);
+};
+
+// Use the role set by auth, falling back to the database when it's missing
+const resolveRole = async (req) => {
+  if (!req.user.role) {
+    const user = await User.findById(req.user.userId).select('role');
+    req.user.role = user?.role;
+  }
+  return req.user.role;
+};
+
+// Allow only users with one of the given roles. Must run after auth.
+export const requireRole = (...roles) => async (req, res, next) => {
+  try {
+    const role = await resolveRole(req);
+    if (!roles.includes(role)) {
+      return res.status(403).json({ message: `Access denied: requires ${roles.join(' or ')} role` });
+    }
+    next();
+  } catch (error) {
+    console.error('Role check error:', error);
+    res.status(500).json({ message: 'Server error in authorization' });
+  }
+};
+
+// Allow only users whose role grants the given permission. Must run after auth.
+export const requirePermission = (permission) => async (req, res, next) => {
+  try {
+    const role = await resolveRole(req);
+    if (!hasPermission(role, permission)) {
+      return res.status(403).json({ message: `Access denied: missing ${permission} permission` });
+    }
+    next();
+  } catch (error) {
+    console.error('Permission check error:', error);
+    res.status(500).json({ message: 'Server error in authorization' });
+  }
+};
@@ -41,55 +41,113 @@ const bookingSchema = new mongoose.Schema({
     required: [true, 'Total amount is required'],
     min: [0, 'Total amount cannot be negative']
   },
+  priceBreakdown: {
+    nights: [{
+      _id: false,
+      date: Date,
+      price: Number
+    }],
+    nightsSubtotal: Number,
+    discount: {
+      type: { type: String },
+      percent: Number,
+      amount: Number
+    },
+    cleaningFee: Number,
+    extraGuests: Number,
+    extraGuestFee: Number
+  },
+  // Currency of totalAmount and priceBreakdown (the listing's currency)
+  currency: {
+    type: String,
+    uppercase: true
+  },
+  // What the guest is actually charged, converted at booking time
+  charge: {
+    currency: String,
+    amount: Number,
+    exchangeRate: Number
+  },
   status: {
     type: String,
-    enum: ['pending', 'confirmed', 'cancelled', 'completed'],
+    enum: ['pending', 'confirmed', 'declined', 'cancelled', 'completed', 'expired'],
     default: 'pending'
   },
+  // Unpaid bookings only hold their dates until this time
+  holdExpiresAt: Date,
+  expiredAt: Date,
+  // Requests the host hasn't accepted by this time are declined
+  responseDeadline: Date,
   paymentStatus: {
     type: String,
-    enum: ['pending', 'paid', 'refunded', 'failed'],
+    enum: ['pending', 'paid', 'partially_refunded', 'refunded', 'failed'],
     default: 'pending'
   },
   paymentIntentId: String,
+  refund: {
+    id: String,
+    amount: Number,
+    status: String,
+    currency: String,
+    refundedAt: Date
+  },
   specialRequests: {
     type: String,
     maxlength: [500, 'Special requests cannot exceed 500 characters']
   },
   cancellationReason: String,
-  review: {
-    rating: {
-      type: Number,
-      min: 1,
-      max: 5
-    },
-    comment: {
+  cancellation: {
+    cancelledBy: {
       type: String,
-      maxlength: [500, 'Review comment cannot exceed 500 characters']
+      enum: ['guest', 'host', 'admin']
     },
-    reviewDate: Date
-  }
+    policy: String,
+    refundPercent: Number,
+    refundAmount: Number,
+    cancelledAt: Date
+  },
+  declineReason: String,
+  confirmedAt: Date,
+  completedAt: Date
 }, {
   timestamps: true
 });
 
+// Allowed status changes; terminal statuses have no outgoing transitions
+const STATUS_TRANSITIONS = {
+  pending: ['confirmed', 'declined', 'cancelled', 'expired'],
+  confirmed: ['cancelled', 'completed', 'expired'],
+  declined: [],
+  cancelled: [],
+  completed: [],
+  expired: []
+};
+
 // Validate dates
 bookingSchema.pre('save', function(next) {
   if (this.checkIn >= this.checkOut) {
-    next(new Error('Check-out date must be after check-in date'));
+    return next(new Error('Check-out date must be after check-in date'));
   }
   
-  // More flexible date validation - only check if significantly in the past
-  const today = new Date();
-  today.setHours(0, 0, 0, 0);
-  
-  if (this.checkIn < today) {
-    next(new Error('Check-in date cannot be in the past'));
+  // Only new or rescheduled bookings need a future check-in, so existing
+  // bookings can still be confirmed, cancelled or completed later on
+  if (this.isNew || this.isModified('checkIn')) {
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+
+    if (this.checkIn < today) {
+      return next(new Error('Check-in date cannot be in the past'));
+    }
   }
   
   next();
 });
 
+// Check whether the booking may move to the given status
+bookingSchema.methods.canTransitionTo = function(status) {
+  return (STATUS_TRANSITIONS[this.status] || []).includes(status);
+};
+
 // Calculate number of nights
 bookingSchema.virtual('nights').get(function() {
   const diffTime = Math.abs(this.checkOut - this.checkIn);
@@ -0,0 +1,43 @@
+import mongoose from 'mongoose';
+
+const conversationSchema = new mongoose.Schema({
+  listing: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Listing',
+    required: true
+  },
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    default: null
+  },
+  guest: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  host: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  lastMessageAt: Date,
+  lastMessagePreview: {
+    type: String,
+    maxlength: 100
+  }
+}, {
+  timestamps: true
+});
+
+// One thread per guest and listing, plus one per booking
+conversationSchema.index({ listing: 1, guest: 1, booking: 1 }, { unique: true });
+conversationSchema.index({ guest: 1, lastMessageAt: -1 });
+conversationSchema.index({ host: 1, lastMessageAt: -1 });
+
+// Check whether a user takes part in the conversation
+conversationSchema.methods.isParticipant = function(userId) {
+  return this.guest.toString() === userId || this.host.toString() === userId;
+};
+
+export default mongoose.model('Conversation', conversationSchema);
@@ -0,0 +1,27 @@
+import mongoose from 'mongoose';
+
+// Exchange rates are managed by admins rather than fetched from a provider.
+// Each rate is the number of units of `currency` per 1 unit of the base
+// currency (BASE_CURRENCY), which is never stored and always has rate 1.
+const exchangeRateSchema = new mongoose.Schema({
+  currency: {
+    type: String,
+    required: [true, 'Currency is required'],
+    uppercase: true,
+    match: [/^[A-Z]{3}$/, 'Currency must be a 3-letter ISO 4217 code'],
+    unique: true
+  },
+  rate: {
+    type: Number,
+    required: [true, 'Rate is required'],
+    min: [0.000001, 'Rate must be positive']
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+export default mongoose.model('ExchangeRate', exchangeRateSchema);
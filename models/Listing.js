@@ -1,4 +1,18 @@
 import mongoose from 'mongoose';
+import { toGeoPoint } from '../utils/geo.js';
+import { CANCELLATION_POLICY_TYPES, DEFAULT_CANCELLATION_POLICY } from '../utils/cancellationPolicy.js';
+import { getBaseCurrency } from '../utils/currency.js';
+
+export const BOOKING_MODES = ['instant', 'request'];
+export const MAX_PREPARATION_DAYS = 30;
+
+// One generated image size, with a URL per output format
+const imageVariant = {
+  avif: String,
+  webp: String,
+  width: Number,
+  height: Number
+};
 
 const listingSchema = new mongoose.Schema({
   title: {
@@ -17,6 +31,61 @@ const listingSchema = new mongoose.Schema({
     required: [true, 'Price is required'],
     min: [0, 'Price cannot be negative']
   },
+  // Currency of price and every amount under pricing
+  currency: {
+    type: String,
+    uppercase: true,
+    match: [/^[A-Z]{3}$/, 'Currency must be a 3-letter ISO 4217 code'],
+    default: getBaseCurrency
+  },
+  pricing: {
+    // Nightly rate for Friday and Saturday nights
+    weekendPrice: {
+      type: Number,
+      min: [0, 'Weekend price cannot be negative']
+    },
+    seasonalRates: [{
+      name: String,
+      startDate: {
+        type: Date,
+        required: [true, 'Season start date is required']
+      },
+      endDate: {
+        type: Date,
+        required: [true, 'Season end date is required']
+      },
+      price: {
+        type: Number,
+        required: [true, 'Seasonal price is required'],
+        min: [0, 'Seasonal price cannot be negative']
+      }
+    }],
+    weeklyDiscount: {
+      type: Number,
+      min: [0, 'Weekly discount cannot be negative'],
+      max: [100, 'Weekly discount cannot exceed 100%']
+    },
+    monthlyDiscount: {
+      type: Number,
+      min: [0, 'Monthly discount cannot be negative'],
+      max: [100, 'Monthly discount cannot exceed 100%']
+    },
+    cleaningFee: {
+      type: Number,
+      default: 0,
+      min: [0, 'Cleaning fee cannot be negative']
+    },
+    // Guests covered by the nightly rate; each additional guest pays extraGuestFee per night
+    guestsIncluded: {
+      type: Number,
+      min: [1, 'At least 1 guest must be included']
+    },
+    extraGuestFee: {
+      type: Number,
+      default: 0,
+      min: [0, 'Extra guest fee cannot be negative']
+    }
+  },
   location: {
     address: {
       type: String,
@@ -41,11 +110,28 @@ const listingSchema = new mongoose.Schema({
     coordinates: {
       latitude: Number,
       longitude: Number
+    },
+    // GeoJSON copy of coordinates for geospatial queries, kept in sync by the hooks below
+    geo: {
+      type: {
+        type: String,
+        enum: ['Point']
+      },
+      coordinates: {
+        type: [Number],
+        default: undefined
+      }
     }
   },
   images: [{
     url: String,
-    caption: String
+    caption: String,
+    // Resized copies generated on upload; see services/imageProcessing.js
+    variants: {
+      thumbnail: imageVariant,
+      card: imageVariant,
+      full: imageVariant
+    }
   }],
   amenities: [{
     type: String,
@@ -90,6 +176,30 @@ const listingSchema = new mongoose.Schema({
     endDate: Date,
     blockedDates: [Date]
   },
+  calendarSync: {
+    // Secret token for the public .ics feed; hidden from normal queries
+    exportToken: {
+      type: String,
+      select: false
+    },
+    importSources: [{
+      name: {
+        type: String,
+        required: [true, 'Calendar source name is required'],
+        trim: true,
+        maxlength: [100, 'Calendar source name cannot exceed 100 characters']
+      },
+      type: {
+        type: String,
+        enum: ['url', 'file'],
+        required: true
+      },
+      url: String,
+      lastSyncedAt: Date,
+      // Dates this source added to availability.blockedDates
+      importedDates: [Date]
+    }]
+  },
   rules: {
     checkIn: String,
     checkOut: String,
@@ -97,9 +207,102 @@ const listingSchema = new mongoose.Schema({
     petsAllowed: { type: Boolean, default: false },
     partiesAllowed: { type: Boolean, default: false }
   },
+  // Limits on when and how long guests can stay; unset limits don't apply
+  stayRules: {
+    minNights: {
+      type: Number,
+      default: 1,
+      min: [1, 'Minimum stay must be at least 1 night']
+    },
+    maxNights: {
+      type: Number,
+      min: [1, 'Maximum stay must be at least 1 night']
+    },
+    // Override the min/max nights for stays starting within a season
+    seasons: [{
+      name: String,
+      startDate: {
+        type: Date,
+        required: [true, 'Season start date is required']
+      },
+      endDate: {
+        type: Date,
+        required: [true, 'Season end date is required']
+      },
+      minNights: {
+        type: Number,
+        min: [1, 'Minimum stay must be at least 1 night']
+      },
+      maxNights: {
+        type: Number,
+        min: [1, 'Maximum stay must be at least 1 night']
+      }
+    }],
+    // Hours between booking and check-in
+    advanceNoticeHours: {
+      type: Number,
+      default: 0,
+      min: [0, 'Advance notice cannot be negative']
+    },
+    // How many days ahead check-in may be booked
+    bookingWindowDays: {
+      type: Number,
+      min: [1, 'Booking window must be at least 1 day']
+    },
+    // UTC weekdays (0 = Sunday) guests may check in on; empty allows any day
+    checkInDays: [{
+      type: Number,
+      min: [0, 'Check-in days must be between 0 (Sunday) and 6 (Saturday)'],
+      max: [6, 'Check-in days must be between 0 (Sunday) and 6 (Saturday)']
+    }],
+    // Days kept free after each stay for cleaning
+    preparationDays: {
+      type: Number,
+      default: 0,
+      min: [0, 'Preparation days cannot be negative'],
+      max: [MAX_PREPARATION_DAYS, `Preparation days cannot exceed ${MAX_PREPARATION_DAYS}`]
+    }
+  },
+  // Instant bookings are confirmed straight away; requests wait for the
+  // host to accept them before the response deadline
+  bookingMode: {
+    type: String,
+    enum: BOOKING_MODES,
+    default: 'request'
+  },
+  cancellationPolicy: {
+    type: {
+      type: String,
+      enum: CANCELLATION_POLICY_TYPES,
+      default: DEFAULT_CANCELLATION_POLICY
+    },
+    // Only used by the 'custom' policy
+    tiers: [{
+      _id: false,
+      hoursBeforeCheckIn: {
+        type: Number,
+        required: [true, 'Hours before check-in is required'],
+        min: [0, 'Hours before check-in cannot be negative']
+      },
+      refundPercent: {
+        type: Number,
+        required: [true, 'Refund percent is required'],
+        min: [0, 'Refund percent cannot be negative'],
+        max: [100, 'Refund percent cannot exceed 100']
+      }
+    }]
+  },
+  // Recomputed from listing reviews whenever one changes
   rating: {
     average: { type: Number, default: 0 },
-    count: { type: Number, default: 0 }
+    count: { type: Number, default: 0 },
+    categories: {
+      cleanliness: { type: Number, default: 0 },
+      accuracy: { type: Number, default: 0 },
+      communication: { type: Number, default: 0 },
+      location: { type: Number, default: 0 },
+      value: { type: Number, default: 0 }
+    }
   },
   isActive: {
     type: Boolean,
@@ -109,10 +312,67 @@ const listingSchema = new mongoose.Schema({
   timestamps: true
 });
 
+// Seasonal rates must end on or after the day they start
+listingSchema.path('pricing.seasonalRates').validate(function(rates) {
+  return (rates || []).every(rate => rate.endDate >= rate.startDate);
+}, 'Seasonal rate end date must be on or after its start date');
+
+// Stay rule seasons must end on or after the day they start
+listingSchema.path('stayRules.seasons').validate(function(seasons) {
+  return (seasons || []).every(season => season.endDate >= season.startDate);
+}, 'Stay rule season end date must be on or after its start date');
+
+// The maximum stay can't be shorter than the minimum
+listingSchema.path('stayRules.maxNights').validate(function(maxNights) {
+  const minNights = this.stayRules?.minNights;
+  return maxNights == null || minNights == null || maxNights >= minNights;
+}, 'Maximum stay cannot be shorter than the minimum stay');
+
+// Custom cancellation policies need at least one refund tier
+listingSchema.path('cancellationPolicy.tiers').validate(function(tiers) {
+  return this.cancellationPolicy?.type !== 'custom' || (tiers && tiers.length > 0);
+}, 'Custom cancellation policy requires at least one refund tier');
+
+// Keep location.geo in sync with location.coordinates
+listingSchema.pre('save', function(next) {
+  if (this.isModified('location.coordinates')) {
+    this.location.geo = toGeoPoint(this.location.coordinates) || undefined;
+  }
+  next();
+});
+
+listingSchema.pre('findOneAndUpdate', function(next) {
+  const update = this.getUpdate();
+  const location = update.location || update.$set?.location;
+  if (location?.coordinates) {
+    location.geo = toGeoPoint(location.coordinates) || undefined;
+  }
+  next();
+});
+
 // Index for searching
 listingSchema.index({ 'location.city': 1, 'location.state': 1 });
+listingSchema.index({ 'location.geo': '2dsphere' });
+listingSchema.index({
+  title: 'text',
+  description: 'text',
+  'location.city': 'text',
+  'location.state': 'text',
+  'location.country': 'text'
+}, {
+  name: 'listing_text_search',
+  weights: {
+    title: 10,
+    'location.city': 5,
+    'location.state': 3,
+    'location.country': 3,
+    description: 1
+  }
+});
 listingSchema.index({ price: 1 });
 listingSchema.index({ propertyType: 1 });
+listingSchema.index({ bookingMode: 1 });
+listingSchema.index({ currency: 1, price: 1 });
 listingSchema.index({ maxGuests: 1 });
 
 export default mongoose.model('Listing', listingSchema);
@@ -0,0 +1,40 @@
+import mongoose from 'mongoose';
+
+// Failed login tracking for one account (by email) or one IP address
+const loginThrottleSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['account', 'ip'],
+    required: true
+  },
+  // Normalized email for accounts, address for IPs
+  identifier: {
+    type: String,
+    required: true
+  },
+  failures: {
+    type: Number,
+    default: 0
+  },
+  windowStartedAt: Date,
+  lastFailureAt: Date,
+  lockedUntil: Date,
+  // Number of lockouts so far; each one lasts longer than the last
+  lockouts: {
+    type: Number,
+    default: 0
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+loginThrottleSchema.index({ type: 1, identifier: 1 }, { unique: true });
+loginThrottleSchema.index({ lockedUntil: 1 });
+// Forget idle records once they expire
+loginThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model('LoginThrottle', loginThrottleSchema);
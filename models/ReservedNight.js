@@ -0,0 +1,35 @@
+import mongoose from 'mongoose';
+
+// One document per booked night, plus the preparation nights kept free after
+// the stay. The unique index on (listing, night) lets MongoDB reject a second
+// booking of the same night atomically, even when two requests check
+// availability at the same time.
+const reservedNightSchema = new mongoose.Schema({
+  listing: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Listing',
+    required: true
+  },
+  // Midnight UTC of the night
+  night: {
+    type: Date,
+    required: true
+  },
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    required: true
+  },
+  // Kept free for cleaning after the stay rather than slept in
+  preparation: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+reservedNightSchema.index({ listing: 1, night: 1 }, { unique: true });
+reservedNightSchema.index({ booking: 1 });
+
+export default mongoose.model('ReservedNight', reservedNightSchema);
@@ -0,0 +1,72 @@
+import mongoose from 'mongoose';
+
+export const REVIEW_CATEGORIES = ['cleanliness', 'accuracy', 'communication', 'location', 'value'];
+
+// `listing` reviews are written by the guest about their stay;
+// `guest` reviews are written by the host about the guest
+export const REVIEW_TYPES = ['listing', 'guest'];
+
+const categoryRating = {
+  type: Number,
+  min: [1, 'Ratings must be between 1 and 5'],
+  max: [5, 'Ratings must be between 1 and 5']
+};
+
+const reviewSchema = new mongoose.Schema({
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    required: true
+  },
+  listing: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Listing',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: REVIEW_TYPES,
+    required: true
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // The user being reviewed: the host for listing reviews, the guest for guest reviews
+  subject: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  rating: {
+    ...categoryRating,
+    required: [true, 'Rating is required']
+  },
+  // Category sub-ratings, only on listing reviews. Reviews migrated from
+  // bookings predate them and have none.
+  ratings: Object.fromEntries(REVIEW_CATEGORIES.map(category => [category, categoryRating])),
+  comment: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Review comment cannot exceed 1000 characters']
+  },
+  // The host's public reply to a listing review
+  response: {
+    comment: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Response cannot exceed 1000 characters']
+    },
+    respondedAt: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Each side reviews a booking at most once
+reviewSchema.index({ booking: 1, type: 1 }, { unique: true });
+reviewSchema.index({ listing: 1, type: 1, createdAt: -1 });
+reviewSchema.index({ subject: 1, type: 1, createdAt: -1 });
+
+export default mongoose.model('Review', reviewSchema);
@@ -47,6 +47,38 @@ const userSchema = new mongoose.Schema({
     type: String,
     maxlength: [500, 'Bio cannot exceed 500 characters']
   },
+  isSuspended: {
+    type: Boolean,
+    default: false
+  },
+  suspension: {
+    reason: String,
+    suspendedAt: Date,
+    suspendedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  // Hashes of the tokens sent in verification and reset emails
+  emailVerification: {
+    tokenHash: { type: String, select: false },
+    expiresAt: { type: Date, select: false }
+  },
+  passwordReset: {
+    tokenHash: { type: String, select: false },
+    expiresAt: { type: Date, select: false }
+  },
+  // Incremented to invalidate every issued access and refresh token
+  tokenVersion: {
+    type: Number,
+    default: 0
+  },
+  passwordChangedAt: Date,
+  // Recomputed from hosts' reviews of this user as a guest
+  guestRating: {
+    average: { type: Number, default: 0 },
+    count: { type: Number, default: 0 }
+  },
   joinedDate: {
     type: Date,
     default: Date.now
@@ -62,6 +94,12 @@ userSchema.pre('save', async function(next) {
   try {
     const salt = await bcrypt.genSalt(12);
     this.password = await bcrypt.hash(this.password, salt);
+
+    // A new password logs out every existing session
+    if (!this.isNew) {
+      this.tokenVersion = (this.tokenVersion || 0) + 1;
+      this.passwordChangedAt = new Date();
+    }
     next();
   } catch (error) {
     next(error);
@@ -77,6 +115,7 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
 userSchema.methods.toJSON = function() {
   const user = this.toObject();
   delete user.password;
+  delete user.tokenVersion;
   return user;
 };
 
@@ -0,0 +1,44 @@
+import mongoose from 'mongoose';
+
+const wishlistSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Wishlist name is required'],
+    trim: true,
+    maxlength: [50, 'Wishlist name cannot exceed 50 characters']
+  },
+  listings: [{
+    listing: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Listing',
+      required: true
+    },
+    addedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Anyone with the token can view the wishlist; unset when not shared
+  shareToken: {
+    type: String,
+    select: false
+  }
+}, {
+  timestamps: true
+});
+
+wishlistSchema.index({ user: 1, name: 1 }, { unique: true });
+wishlistSchema.index({ user: 1, 'listings.listing': 1 });
+wishlistSchema.index({ shareToken: 1 }, { unique: true, sparse: true });
+
+// Check whether a listing is saved in this wishlist
+wishlistSchema.methods.hasListing = function(listingId) {
+  return this.listings.some(item => item.listing.toString() === listingId.toString());
+};
+
+export default mongoose.model('Wishlist', wishlistSchema);
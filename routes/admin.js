@@ -0,0 +1,617 @@
+import express from 'express';
+import { body, param, query, validationResult } from 'express-validator';
+import User from '../models/User.js';
+import Listing from '../models/Listing.js';
+import Booking from '../models/Booking.js';
+import LoginThrottle from '../models/LoginThrottle.js';
+import ExchangeRate from '../models/ExchangeRate.js';
+import auth from '../middleware/auth.js';
+import { requireRole } from '../middleware/authorize.js';
+import { cancelBooking } from '../services/bookings.js';
+import { getAccountLockout, unlockAccount } from '../services/loginProtection.js';
+import { getBaseCurrency } from '../utils/currency.js';
+
+const router = express.Router();
+
+// Every admin route requires an authenticated admin
+router.use(auth, requireRole('admin'));
+
+const currencyParamValidator = param('currency')
+  .toUpperCase()
+  .isISO4217()
+  .withMessage('Currency must be a valid ISO 4217 code');
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const paginationValidators = [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be at least 1'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+];
+
+const paginate = async (Model, filter, { page = 1, limit = 20 }, buildQuery) => {
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+  const items = await buildQuery(Model.find(filter))
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(parseInt(limit));
+
+  const total = await Model.countDocuments(filter);
+  const totalPages = Math.ceil(total / parseInt(limit));
+
+  return {
+    items,
+    pagination: {
+      currentPage: parseInt(page),
+      totalPages,
+      total,
+      hasNextPage: parseInt(page) < totalPages,
+      hasPreviousPage: parseInt(page) > 1
+    }
+  };
+};
+
+// @route   GET /api/admin/users
+// @desc    List and search users
+// @access  Private (Admin)
+router.get('/users', [
+  query('q').optional().trim().isLength({ max: 100 }).withMessage('Search query cannot exceed 100 characters'),
+  query('role').optional().isIn(['guest', 'host', 'admin']).withMessage('Invalid role'),
+  query('suspended').optional().isBoolean().withMessage('Suspended must be true or false'),
+  ...paginationValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const { q, role, suspended } = req.query;
+
+    const filter = {};
+
+    if (q) {
+      const pattern = { $regex: escapeRegex(q), $options: 'i' };
+      filter.$or = [{ firstName: pattern }, { lastName: pattern }, { email: pattern }];
+    }
+
+    if (role) {
+      filter.role = role;
+    }
+
+    if (suspended !== undefined) {
+      filter.isSuspended = suspended === 'true';
+    }
+
+    const { items: users, pagination } = await paginate(User, filter, req.query, find => find.select('-__v'));
+
+    res.json({ users, pagination });
+  } catch (error) {
+    console.error('Admin get users error:', error);
+    res.status(500).json({ message: 'Server error while fetching users' });
+  }
+});
+
+// @route   GET /api/admin/users/:id
+// @desc    Get a user with their listing and booking counts
+// @access  Private (Admin)
+router.get('/users/:id', async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id).select('-__v');
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const [listingCount, bookingCount, loginLockout] = await Promise.all([
+      Listing.countDocuments({ host: user._id }),
+      Booking.countDocuments({ guest: user._id }),
+      getAccountLockout(user.email)
+    ]);
+
+    res.json({ user, listingCount, bookingCount, loginLockout });
+  } catch (error) {
+    console.error('Admin get user error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid user ID' });
+    }
+    res.status(500).json({ message: 'Server error while fetching user' });
+  }
+});
+
+// @route   PUT /api/admin/users/:id/suspend
+// @desc    Suspend a user account
+// @access  Private (Admin)
+router.put('/users/:id/suspend', [
+  body('reason')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Suspension reason cannot exceed 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    if (req.params.id === req.user.userId) {
+      return res.status(400).json({ message: 'You cannot suspend your own account' });
+    }
+
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (user.isSuspended) {
+      return res.status(400).json({ message: 'User is already suspended' });
+    }
+
+    user.isSuspended = true;
+    user.suspension = {
+      reason: req.body.reason || 'No reason provided',
+      suspendedAt: new Date(),
+      suspendedBy: req.user.userId
+    };
+    await user.save();
+
+    res.json({ message: 'User suspended successfully', user });
+  } catch (error) {
+    console.error('Admin suspend user error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid user ID' });
+    }
+    res.status(500).json({ message: 'Server error while suspending user' });
+  }
+});
+
+// @route   PUT /api/admin/users/:id/reinstate
+// @desc    Reinstate a suspended user account
+// @access  Private (Admin)
+router.put('/users/:id/reinstate', async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (!user.isSuspended) {
+      return res.status(400).json({ message: 'User is not suspended' });
+    }
+
+    user.isSuspended = false;
+    user.suspension = undefined;
+    await user.save();
+
+    res.json({ message: 'User reinstated successfully', user });
+  } catch (error) {
+    console.error('Admin reinstate user error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid user ID' });
+    }
+    res.status(500).json({ message: 'Server error while reinstating user' });
+  }
+});
+
+// @route   PUT /api/admin/users/:id/unlock
+// @desc    Clear a user's failed login attempts and lockout
+// @access  Private (Admin)
+router.put('/users/:id/unlock', async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const wasTracked = await unlockAccount(user.email);
+
+    res.json({
+      message: wasTracked ? 'Account unlocked successfully' : 'Account had no failed login attempts',
+      loginLockout: await getAccountLockout(user.email)
+    });
+  } catch (error) {
+    console.error('Admin unlock user error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid user ID' });
+    }
+    res.status(500).json({ message: 'Server error while unlocking user' });
+  }
+});
+
+// @route   GET /api/admin/lockouts
+// @desc    List accounts and IP addresses that are currently locked out
+// @access  Private (Admin)
+router.get('/lockouts', [
+  query('type').optional().isIn(['account', 'ip']).withMessage('Type must be account or ip'),
+  ...paginationValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const filter = { lockedUntil: { $gt: new Date() } };
+    if (req.query.type) {
+      filter.type = req.query.type;
+    }
+
+    const { items: lockouts, pagination } = await paginate(LoginThrottle, filter, req.query, find => find.select('-__v'));
+
+    res.json({ lockouts, pagination });
+  } catch (error) {
+    console.error('Admin get lockouts error:', error);
+    res.status(500).json({ message: 'Server error while fetching lockouts' });
+  }
+});
+
+// @route   DELETE /api/admin/lockouts/:id
+// @desc    Clear a lockout (account or IP address)
+// @access  Private (Admin)
+router.delete('/lockouts/:id', async (req, res) => {
+  try {
+    const lockout = await LoginThrottle.findByIdAndDelete(req.params.id);
+
+    if (!lockout) {
+      return res.status(404).json({ message: 'Lockout not found' });
+    }
+
+    res.json({ message: 'Lockout cleared successfully' });
+  } catch (error) {
+    console.error('Admin clear lockout error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid lockout ID' });
+    }
+    res.status(500).json({ message: 'Server error while clearing lockout' });
+  }
+});
+
+// @route   PUT /api/admin/users/:id/role
+// @desc    Change a user's role
+// @access  Private (Admin)
+router.put('/users/:id/role', [
+  body('role').isIn(['guest', 'host', 'admin']).withMessage('Role must be guest, host or admin')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    if (req.params.id === req.user.userId) {
+      return res.status(400).json({ message: 'You cannot change your own role' });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.params.id,
+      { role: req.body.role },
+      { new: true, runValidators: true }
+    );
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    res.json({ message: 'User role updated successfully', user });
+  } catch (error) {
+    console.error('Admin update role error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid user ID' });
+    }
+    res.status(500).json({ message: 'Server error while updating user role' });
+  }
+});
+
+// @route   GET /api/admin/listings
+// @desc    List all listings, including inactive ones
+// @access  Private (Admin)
+router.get('/listings', [
+  query('q').optional().trim().isLength({ max: 100 }).withMessage('Search query cannot exceed 100 characters'),
+  query('isActive').optional().isBoolean().withMessage('isActive must be true or false'),
+  query('host').optional().isMongoId().withMessage('Invalid host ID'),
+  ...paginationValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const { q, isActive, host } = req.query;
+
+    const filter = {};
+
+    if (q) {
+      const pattern = { $regex: escapeRegex(q), $options: 'i' };
+      filter.$or = [{ title: pattern }, { 'location.city': pattern }];
+    }
+
+    if (isActive !== undefined) {
+      filter.isActive = isActive === 'true';
+    }
+
+    if (host) {
+      filter.host = host;
+    }
+
+    const { items: listings, pagination } = await paginate(Listing, filter, req.query, find => find
+      .populate('host', 'firstName lastName email')
+      .select('-__v'));
+
+    res.json({ listings, pagination });
+  } catch (error) {
+    console.error('Admin get listings error:', error);
+    res.status(500).json({ message: 'Server error while fetching listings' });
+  }
+});
+
+// @route   PUT /api/admin/listings/:id/deactivate
+// @desc    Deactivate a listing so it can't be found or booked
+// @access  Private (Admin)
+router.put('/listings/:id/deactivate', async (req, res) => {
+  try {
+    const listing = await Listing.findByIdAndUpdate(
+      req.params.id,
+      { isActive: false },
+      { new: true }
+    );
+
+    if (!listing) {
+      return res.status(404).json({ message: 'Listing not found' });
+    }
+
+    res.json({ message: 'Listing deactivated successfully', listing });
+  } catch (error) {
+    console.error('Admin deactivate listing error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid listing ID' });
+    }
+    res.status(500).json({ message: 'Server error while deactivating listing' });
+  }
+});
+
+// @route   PUT /api/admin/listings/:id/activate
+// @desc    Reactivate a listing
+// @access  Private (Admin)
+router.put('/listings/:id/activate', async (req, res) => {
+  try {
+    const listing = await Listing.findByIdAndUpdate(
+      req.params.id,
+      { isActive: true },
+      { new: true }
+    );
+
+    if (!listing) {
+      return res.status(404).json({ message: 'Listing not found' });
+    }
+
+    res.json({ message: 'Listing activated successfully', listing });
+  } catch (error) {
+    console.error('Admin activate listing error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid listing ID' });
+    }
+    res.status(500).json({ message: 'Server error while activating listing' });
+  }
+});
+
+// @route   GET /api/admin/bookings
+// @desc    List all bookings
+// @access  Private (Admin)
+router.get('/bookings', [
+  query('status')
+    .optional()
+    .isIn(['pending', 'confirmed', 'declined', 'cancelled', 'completed', 'expired'])
+    .withMessage('Invalid booking status'),
+  query('listing').optional().isMongoId().withMessage('Invalid listing ID'),
+  query('guest').optional().isMongoId().withMessage('Invalid guest ID'),
+  ...paginationValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const { status, listing, guest } = req.query;
+
+    const filter = {};
+    if (status) filter.status = status;
+    if (listing) filter.listing = listing;
+    if (guest) filter.guest = guest;
+
+    const { items: bookings, pagination } = await paginate(Booking, filter, req.query, find => find
+      .populate('listing', 'title location host')
+      .populate('guest', 'firstName lastName email'));
+
+    res.json({ bookings, pagination });
+  } catch (error) {
+    console.error('Admin get bookings error:', error);
+    res.status(500).json({ message: 'Server error while fetching bookings' });
+  }
+});
+
+// @route   GET /api/admin/bookings/:id
+// @desc    Get any booking
+// @access  Private (Admin)
+router.get('/bookings/:id', async (req, res) => {
+  try {
+    const booking = await Booking.findById(req.params.id)
+      .populate('listing', 'title location images price host')
+      .populate('guest', 'firstName lastName email phone');
+
+    if (!booking) {
+      return res.status(404).json({ message: 'Booking not found' });
+    }
+
+    res.json({ booking });
+  } catch (error) {
+    console.error('Admin get booking error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid booking ID' });
+    }
+    res.status(500).json({ message: 'Server error while fetching booking' });
+  }
+});
+
+// @route   PUT /api/admin/bookings/:id/cancel
+// @desc    Cancel any booking with a full refund
+// @access  Private (Admin)
+router.put('/bookings/:id/cancel', [
+  body('reason')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Cancellation reason cannot exceed 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const booking = await Booking.findById(req.params.id)
+      .populate('listing', 'title host cancellationPolicy');
+
+    if (!booking) {
+      return res.status(404).json({ message: 'Booking not found' });
+    }
+
+    if (!booking.canTransitionTo('cancelled')) {
+      return res.status(400).json({ message: `Cannot cancel a ${booking.status} booking` });
+    }
+
+    const refund = await cancelBooking(booking, {
+      cancelledBy: 'admin',
+      reason: req.body.reason
+    });
+
+    res.json({
+      message: 'Booking cancelled successfully',
+      refund,
+      booking
+    });
+  } catch (error) {
+    console.error('Admin cancel booking error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid booking ID' });
+    }
+    res.status(500).json({ message: 'Server error while cancelling booking' });
+  }
+});
+
+// @route   GET /api/admin/exchange-rates
+// @desc    List exchange rates against the base currency
+// @access  Private (Admin)
+router.get('/exchange-rates', async (req, res) => {
+  try {
+    const rates = await ExchangeRate.find()
+      .populate('updatedBy', 'firstName lastName email')
+      .sort({ currency: 1 });
+
+    res.json({
+      base: getBaseCurrency(),
+      rates
+    });
+  } catch (error) {
+    console.error('Admin get exchange rates error:', error);
+    res.status(500).json({ message: 'Server error while fetching exchange rates' });
+  }
+});
+
+// @route   PUT /api/admin/exchange-rates/:currency
+// @desc    Set the rate for a currency (units per 1 base currency unit)
+// @access  Private (Admin)
+router.put('/exchange-rates/:currency', [
+  currencyParamValidator,
+  body('rate')
+    .isFloat({ gt: 0 })
+    .withMessage('Rate must be a positive number')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const { currency } = req.params;
+    if (currency === getBaseCurrency()) {
+      return res.status(400).json({ message: 'The base currency always has a rate of 1' });
+    }
+
+    const exchangeRate = await ExchangeRate.findOneAndUpdate(
+      { currency },
+      { rate: parseFloat(req.body.rate), updatedBy: req.user.userId },
+      { new: true, upsert: true, runValidators: true }
+    );
+
+    res.json({
+      message: 'Exchange rate saved successfully',
+      exchangeRate
+    });
+  } catch (error) {
+    console.error('Admin set exchange rate error:', error);
+    res.status(500).json({ message: 'Server error while saving exchange rate' });
+  }
+});
+
+// @route   DELETE /api/admin/exchange-rates/:currency
+// @desc    Remove a currency's rate; refused while listings are priced in it
+// @access  Private (Admin)
+router.delete('/exchange-rates/:currency', [currencyParamValidator], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const { currency } = req.params;
+
+    const listingCount = await Listing.countDocuments({ currency });
+    if (listingCount > 0) {
+      return res.status(400).json({
+        message: `${listingCount} listing(s) are priced in ${currency}; change their currency first`
+      });
+    }
+
+    const exchangeRate = await ExchangeRate.findOneAndDelete({ currency });
+    if (!exchangeRate) {
+      return res.status(404).json({ message: 'Exchange rate not found' });
+    }
+
+    res.json({ message: 'Exchange rate deleted successfully' });
+  } catch (error) {
+    console.error('Admin delete exchange rate error:', error);
+    res.status(500).json({ message: 'Server error while deleting exchange rate' });
+  }
+});
+
+export default router;
@@ -1,16 +1,41 @@
 import express from 'express';
-import jwt from 'jsonwebtoken';
 import { body, validationResult } from 'express-validator';
 import User from '../models/User.js';
 import auth from '../middleware/auth.js';
+import {
+  SessionError,
+  generateAccessToken,
+  issueSession,
+  revokeAllSessions,
+  revokeSession,
+  rotateSession
+} from '../services/sessions.js';
+import { sendMail } from '../services/mailer/index.js';
+import { checkLoginAllowed, recordLoginFailure, recordLoginSuccess } from '../services/loginProtection.js';
+import * as emails from '../services/mailer/templates.js';
+import { generateToken, hashToken } from '../utils/tokens.js';
 
 const router = express.Router();
 
-// Generate JWT token
-const generateToken = (userId) => {
-  return jwt.sign({ userId }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE || '7d'
-  });
+const EMAIL_VERIFICATION_TTL_MS = 24 * 60 * 60 * 1000; // 24 hours
+const PASSWORD_RESET_TTL_MS = 60 * 60 * 1000; // 1 hour
+
+// Password strength rules shared by registration, reset and change
+const passwordRules = (field) => body(field)
+  .isLength({ min: 6 })
+  .withMessage('Password must be at least 6 characters')
+  .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
+  .withMessage('Password must contain at least one uppercase letter, one lowercase letter, and one number');
+
+// Store a fresh verification token on the user and email the link
+const sendVerificationEmail = async (user) => {
+  const token = generateToken();
+  user.emailVerification = {
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + EMAIL_VERIFICATION_TTL_MS)
+  };
+  await user.save();
+  await sendMail(emails.verifyEmail(user, token));
 };
 
 // @route   POST /api/auth/register
@@ -31,11 +56,7 @@ router.post('/register', [
     .isEmail()
     .withMessage('Please enter a valid email')
     .normalizeEmail(),
-  body('password')
-    .isLength({ min: 6 })
-    .withMessage('Password must be at least 6 characters')
-    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
-    .withMessage('Password must contain at least one uppercase letter, one lowercase letter, and one number')
+  passwordRules('password')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -65,12 +86,20 @@ router.post('/register', [
 
     await user.save();
 
-    // Generate token
-    const token = generateToken(user._id);
+    // Registration still succeeds if the email can't be sent; it can be resent later
+    try {
+      await sendVerificationEmail(user);
+    } catch (error) {
+      console.error('Send verification email error:', error);
+    }
+
+    // Start a session
+    const { token, refreshToken } = await issueSession(user, req);
 
     res.status(201).json({
       message: 'User registered successfully',
       token,
+      refreshToken,
       user: {
         id: user._id,
         firstName: user.firstName,
@@ -107,25 +136,42 @@ router.post('/login', [
     }
 
     const { email, password } = req.body;
+    const attempt = { email, ip: req.ip };
+
+    // Reject attempts while the account or IP is locked or throttled
+    const blocked = await checkLoginAllowed(attempt);
+    if (blocked) {
+      res.set('Retry-After', String(blocked.retryAfter));
+      return res.status(429).json(blocked);
+    }
 
     // Find user by email
     const user = await User.findOne({ email }).select('+password');
     if (!user) {
+      await recordLoginFailure(attempt);
       return res.status(401).json({ message: 'Invalid email or password' });
     }
 
     // Check password
     const isMatch = await user.comparePassword(password);
     if (!isMatch) {
+      await recordLoginFailure(attempt);
       return res.status(401).json({ message: 'Invalid email or password' });
     }
 
-    // Generate token
-    const token = generateToken(user._id);
+    await recordLoginSuccess(attempt);
+
+    if (user.isSuspended) {
+      return res.status(403).json({ message: 'Your account has been suspended' });
+    }
+
+    // Start a session
+    const { token, refreshToken } = await issueSession(user, req);
 
     res.json({
       message: 'Login successful',
       token,
+      refreshToken,
       user: {
         id: user._id,
         firstName: user.firstName,
@@ -140,6 +186,272 @@ router.post('/login', [
   }
 });
 
+// @route   POST /api/auth/refresh
+// @desc    Exchange a refresh token for a new access token and refresh token
+// @access  Public
+router.post('/refresh', [
+  body('refreshToken')
+    .notEmpty()
+    .withMessage('Refresh token is required')
+    .bail()
+    .isString()
+    .withMessage('Refresh token must be a string')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const { token, refreshToken } = await rotateSession(req.body.refreshToken, req);
+
+    res.json({ token, refreshToken });
+  } catch (error) {
+    if (error instanceof SessionError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Refresh token error:', error);
+    res.status(500).json({ message: 'Server error while refreshing session' });
+  }
+});
+
+// @route   POST /api/auth/logout
+// @desc    Log out this device by revoking its refresh token
+// @access  Public
+router.post('/logout', [
+  body('refreshToken')
+    .notEmpty()
+    .withMessage('Refresh token is required')
+    .bail()
+    .isString()
+    .withMessage('Refresh token must be a string')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    await revokeSession(req.body.refreshToken);
+
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ message: 'Server error during logout' });
+  }
+});
+
+// @route   POST /api/auth/logout-all
+// @desc    Log out of all devices
+// @access  Private
+router.post('/logout-all', auth, async (req, res) => {
+  try {
+    await revokeAllSessions(req.user.userId);
+
+    res.json({ message: 'Logged out of all devices successfully' });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({ message: 'Server error during logout' });
+  }
+});
+
+// @route   POST /api/auth/verify-email
+// @desc    Verify an email address with the emailed token
+// @access  Public
+router.post('/verify-email', [
+  body('token')
+    .notEmpty()
+    .withMessage('Verification token is required')
+    .bail()
+    .isString()
+    .withMessage('Verification token must be a string')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const user = await User.findOne({
+      'emailVerification.tokenHash': hashToken(req.body.token),
+      'emailVerification.expiresAt': { $gt: new Date() }
+    });
+
+    if (!user) {
+      return res.status(400).json({ message: 'Verification link is invalid or has expired' });
+    }
+
+    user.isVerified = true;
+    user.emailVerification = undefined;
+    await user.save();
+
+    res.json({ message: 'Email verified successfully' });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({ message: 'Server error during email verification' });
+  }
+});
+
+// @route   POST /api/auth/resend-verification
+// @desc    Send a new verification email
+// @access  Private
+router.post('/resend-verification', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (user.isVerified) {
+      return res.status(400).json({ message: 'Email is already verified' });
+    }
+
+    await sendVerificationEmail(user);
+
+    res.json({ message: 'Verification email sent' });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({ message: 'Server error while sending verification email' });
+  }
+});
+
+// @route   POST /api/auth/forgot-password
+// @desc    Email a password reset link
+// @access  Public
+router.post('/forgot-password', [
+  body('email')
+    .isEmail()
+    .withMessage('Please enter a valid email')
+    .normalizeEmail()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const user = await User.findOne({ email: req.body.email });
+
+    // Same response either way so the endpoint can't be used to find accounts
+    if (user && !user.isSuspended) {
+      const token = generateToken();
+      user.passwordReset = {
+        tokenHash: hashToken(token),
+        expiresAt: new Date(Date.now() + PASSWORD_RESET_TTL_MS)
+      };
+      await user.save();
+      await sendMail(emails.resetPassword(user, token));
+    }
+
+    res.json({ message: 'If an account exists for that email, a reset link has been sent' });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ message: 'Server error while requesting password reset' });
+  }
+});
+
+// @route   POST /api/auth/reset-password
+// @desc    Set a new password with the emailed reset token
+// @access  Public
+router.post('/reset-password', [
+  body('token')
+    .notEmpty()
+    .withMessage('Reset token is required')
+    .bail()
+    .isString()
+    .withMessage('Reset token must be a string'),
+  passwordRules('password')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const user = await User.findOne({
+      'passwordReset.tokenHash': hashToken(req.body.token),
+      'passwordReset.expiresAt': { $gt: new Date() }
+    });
+
+    if (!user) {
+      return res.status(400).json({ message: 'Reset link is invalid or has expired' });
+    }
+
+    // Saving a new password revokes all existing sessions
+    user.password = req.body.password;
+    user.passwordReset = undefined;
+    // The reset link proves the user controls the email address
+    user.isVerified = true;
+    await user.save();
+
+    res.json({ message: 'Password reset successfully, please log in again' });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({ message: 'Server error while resetting password' });
+  }
+});
+
+// @route   PUT /api/auth/change-password
+// @desc    Change the password of the logged-in user
+// @access  Private
+router.put('/change-password', auth, [
+  body('currentPassword')
+    .notEmpty()
+    .withMessage('Current password is required'),
+  passwordRules('newPassword')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const isMatch = await user.comparePassword(req.body.currentPassword);
+    if (!isMatch) {
+      return res.status(401).json({ message: 'Current password is incorrect' });
+    }
+
+    // Saving a new password revokes all existing sessions, including this
+    // one, so start a fresh session for the current device
+    user.password = req.body.newPassword;
+    await user.save();
+
+    const { token, refreshToken } = await issueSession(user, req);
+
+    res.json({
+      message: 'Password changed successfully',
+      token,
+      refreshToken
+    });
+  } catch (error) {
+    console.error('Change password error:', error);
+    res.status(500).json({ message: 'Server error while changing password' });
+  }
+});
+
 // @route   GET /api/auth/me
 // @desc    Get current user
 // @access  Private
@@ -202,4 +514,41 @@ router.put('/profile', auth, [
   }
 });
 
+// @route   POST /api/auth/become-host
+// @desc    Upgrade a guest account to a host account
+// @access  Private
+router.post('/become-host', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (user.role !== 'guest') {
+      return res.status(400).json({ message: `Account already has the ${user.role} role` });
+    }
+
+    user.role = 'host';
+    await user.save();
+
+    // Issue a new token so the upgraded role takes effect immediately
+    const token = generateAccessToken(user);
+
+    res.json({
+      message: 'You are now a host',
+      token,
+      user: {
+        id: user._id,
+        firstName: user.firstName,
+        lastName: user.lastName,
+        email: user.email,
+        role: user.role
+      }
+    });
+  } catch (error) {
+    console.error('Become host error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 export default router;
@@ -2,14 +2,29 @@ import express from 'express';
 import { body, validationResult } from 'express-validator';
 import Booking from '../models/Booking.js';
 import Listing from '../models/Listing.js';
+import Review, { REVIEW_CATEGORIES } from '../models/Review.js';
 import auth from '../middleware/auth.js';
+import { requirePermission } from '../middleware/authorize.js';
+import {
+  BookingConflictError,
+  PreparationConflictError,
+  cancelBooking,
+  createBooking,
+  declineBooking
+} from '../services/bookings.js';
+import { updateRatingsFor } from '../services/reviews.js';
+import { notifyBookingCreated, notifyBookingReviewed } from '../services/notifications.js';
+import { findPreparationConflict, getUnavailableReason } from '../utils/availability.js';
+import { checkStayLength, getStayRuleViolations, plural } from '../utils/stayRules.js';
+import { CurrencyError } from '../utils/currency.js';
+import { toDateKey } from '../utils/dates.js';
 
 const router = express.Router();
 
 // @route   POST /api/bookings
 // @desc    Create new booking
 // @access  Private
-router.post('/', auth, [
+router.post('/', auth, requirePermission('bookings:create'), [
   body('listing')
     .notEmpty()
     .withMessage('Listing ID is required')
@@ -39,7 +54,7 @@ router.post('/', auth, [
       if (checkOutDate <= checkInDate) {
         throw new Error('Check-out date must be after check-in date');
       }
-      return true;
+      return checkStayLength(checkInDate, checkOutDate);
     }),
   body('guests.adults')
     .isInt({ min: 1 })
@@ -51,7 +66,12 @@ router.post('/', auth, [
   body('guests.infants')
     .optional()
     .isInt({ min: 0 })
-    .withMessage('Infants count cannot be negative')
+    .withMessage('Infants count cannot be negative'),
+  body('currency')
+    .optional()
+    .toUpperCase()
+    .isISO4217()
+    .withMessage('Currency must be a valid ISO 4217 code')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -62,7 +82,7 @@ router.post('/', auth, [
       });
     }
 
-    const { listing: listingId, checkIn, checkOut, guests, specialRequests } = req.body;
+    const { listing: listingId, checkIn, checkOut, guests, specialRequests, currency } = req.body;
 
     // Check if listing exists and is available
     const listing = await Listing.findById(listingId);
@@ -86,40 +106,49 @@ router.post('/', auth, [
     const checkInDate = new Date(checkIn);
     const checkOutDate = new Date(checkOut);
 
-    // Check for overlapping bookings
-    const overlappingBooking = await Booking.findOne({
-      listing: listingId,
-      status: { $in: ['pending', 'confirmed'] },
-      $or: [
-        {
-          checkIn: { $lt: checkOutDate },
-          checkOut: { $gt: checkInDate }
-        }
-      ]
-    });
+    // Check the host's availability window and blocked dates
+    const unavailableReason = getUnavailableReason(listing, checkInDate, checkOutDate);
+    if (unavailableReason) {
+      return res.status(400).json({ message: unavailableReason });
+    }
 
-    if (overlappingBooking) {
-      return res.status(400).json({ 
-        message: 'These dates are not available. Please choose different dates.' 
+    // The host needs time to answer a request before the stay starts
+    if (listing.bookingMode !== 'instant' && checkInDate <= new Date()) {
+      return res.status(400).json({
+        message: 'This listing takes booking requests, which must be made before the check-in day'
       });
     }
 
-    // Calculate total amount
-    const nights = Math.ceil((checkOutDate - checkInDate) / (1000 * 60 * 60 * 24));
-    const totalAmount = nights * listing.price;
+    // Check the host's stay rules
+    const violations = getStayRuleViolations(listing, checkInDate, checkOutDate);
+    if (violations.length > 0) {
+      return res.status(400).json({
+        message: violations[0].message,
+        errors: violations
+      });
+    }
 
-    // Create booking
-    const booking = new Booking({
-      listing: listingId,
+    // Keep the host's preparation days free between stays
+    if (await findPreparationConflict(listing, checkInDate, checkOutDate)) {
+      const message = `This property needs ${plural(listing.stayRules.preparationDays, 'preparation day')} between stays`;
+      return res.status(400).json({
+        message,
+        errors: [{ rule: 'preparationDays', message }]
+      });
+    }
+
+    // Reserving the nights fails if another booking holds any of them,
+    // including one created by a concurrent request
+    const { booking, paymentIntent } = await createBooking(listing, {
       guest: req.user.userId,
       checkIn: checkInDate,
       checkOut: checkOutDate,
       guests,
-      totalAmount,
-      specialRequests
+      specialRequests,
+      currency
     });
 
-    await booking.save();
+    await notifyBookingCreated(booking, listing);
 
     const populatedBooking = await Booking.findById(booking._id)
       .populate('listing', 'title location images price')
@@ -127,9 +156,29 @@ router.post('/', auth, [
 
     res.status(201).json({
       message: 'Booking created successfully',
-      booking: populatedBooking
+      booking: populatedBooking,
+      payment: {
+        paymentIntentId: paymentIntent.id,
+        clientSecret: paymentIntent.clientSecret
+      }
     });
   } catch (error) {
+    // Only the nights kept free after the stay collided with another booking
+    if (error instanceof PreparationConflictError) {
+      return res.status(error.status).json({
+        message: error.message,
+        errors: [{ rule: 'preparationDays', message: error.message }]
+      });
+    }
+    if (error instanceof BookingConflictError) {
+      return res.status(error.status).json({
+        message: error.message,
+        conflictingNights: error.nights.map(toDateKey)
+      });
+    }
+    if (error instanceof CurrencyError) {
+      return res.status(error.status).json({ message: error.message });
+    }
     console.error('Create booking error:', error);
     res.status(500).json({ message: 'Server error while creating booking' });
   }
@@ -184,7 +233,8 @@ router.get('/:id', auth, async (req, res) => {
 
     // Check if user is either the guest or the host of the listing
     const isGuest = booking.guest._id.toString() === req.user.userId;
-    const isHost = booking.listing.host.toString() === req.user.userId;
+    // The listing may have been deleted since the booking was made
+    const isHost = booking.listing?.host.toString() === req.user.userId;
 
     if (!isGuest && !isHost) {
       return res.status(403).json({ message: 'Not authorized to view this booking' });
@@ -200,6 +250,104 @@ router.get('/:id', auth, async (req, res) => {
   }
 });
 
+// @route   PUT /api/bookings/:id/confirm
+// @desc    Confirm a pending booking
+// @access  Private (Host only - own listings)
+router.put('/:id/confirm', auth, async (req, res) => {
+  try {
+    const booking = await Booking.findById(req.params.id)
+      .populate('listing', 'host');
+
+    if (!booking) {
+      return res.status(404).json({ message: 'Booking not found' });
+    }
+
+    // Check if user is the host of the booked listing
+    if (booking.listing?.host.toString() !== req.user.userId) {
+      return res.status(403).json({ message: 'Only the host can confirm this booking' });
+    }
+
+    if (!booking.canTransitionTo('confirmed')) {
+      return res.status(400).json({ message: `Cannot confirm a ${booking.status} booking` });
+    }
+
+    if (booking.responseDeadline && booking.responseDeadline <= new Date()) {
+      return res.status(400).json({ message: 'The deadline to respond to this request has passed' });
+    }
+
+    // Confirm only if still pending so this can't race the deadline sweeper
+    const confirmedBooking = await Booking.findOneAndUpdate(
+      { _id: booking._id, status: 'pending' },
+      { $set: { status: 'confirmed', confirmedAt: new Date() } },
+      { new: true }
+    );
+
+    if (!confirmedBooking) {
+      return res.status(409).json({ message: 'This booking request is no longer pending' });
+    }
+
+    res.json({
+      message: 'Booking confirmed successfully',
+      booking: confirmedBooking
+    });
+  } catch (error) {
+    console.error('Confirm booking error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid booking ID' });
+    }
+    res.status(500).json({ message: 'Server error while confirming booking' });
+  }
+});
+
+// @route   PUT /api/bookings/:id/decline
+// @desc    Decline a pending booking
+// @access  Private (Host only - own listings)
+router.put('/:id/decline', auth, [
+  body('reason')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Decline reason cannot exceed 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const booking = await Booking.findById(req.params.id)
+      .populate('listing', 'host');
+
+    if (!booking) {
+      return res.status(404).json({ message: 'Booking not found' });
+    }
+
+    // Check if user is the host of the booked listing
+    if (booking.listing?.host.toString() !== req.user.userId) {
+      return res.status(403).json({ message: 'Only the host can decline this booking' });
+    }
+
+    if (!booking.canTransitionTo('declined')) {
+      return res.status(400).json({ message: `Cannot decline a ${booking.status} booking` });
+    }
+
+    await declineBooking(booking, req.body.reason);
+
+    res.json({
+      message: 'Booking declined successfully',
+      booking
+    });
+  } catch (error) {
+    console.error('Decline booking error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid booking ID' });
+    }
+    res.status(500).json({ message: 'Server error while declining booking' });
+  }
+});
+
 // @route   PUT /api/bookings/:id/cancel
 // @desc    Cancel a booking
 // @access  Private
@@ -219,7 +367,7 @@ router.put('/:id/cancel', auth, [
     }
 
     const booking = await Booking.findById(req.params.id)
-      .populate('listing', 'host');
+      .populate('listing', 'title host cancellationPolicy');
 
     if (!booking) {
       return res.status(404).json({ message: 'Booking not found' });
@@ -227,7 +375,8 @@ router.put('/:id/cancel', auth, [
 
     // Check if user is either the guest or the host
     const isGuest = booking.guest.toString() === req.user.userId;
-    const isHost = booking.listing.host._id.toString() === req.user.userId;
+    // The listing may have been deleted since the booking was made
+    const isHost = booking.listing?.host._id.toString() === req.user.userId;
 
     if (!isGuest && !isHost) {
       return res.status(403).json({ message: 'Not authorized to cancel this booking' });
@@ -242,13 +391,19 @@ router.put('/:id/cancel', auth, [
       return res.status(400).json({ message: 'Cannot cancel a completed booking' });
     }
 
-    // Update booking status
-    booking.status = 'cancelled';
-    booking.cancellationReason = req.body.reason || 'No reason provided';
-    await booking.save();
+    if (!booking.canTransitionTo('cancelled')) {
+      return res.status(400).json({ message: `Cannot cancel a ${booking.status} booking` });
+    }
+
+    // Refund according to the listing's cancellation policy
+    const refund = await cancelBooking(booking, {
+      cancelledBy: isGuest ? 'guest' : 'host',
+      reason: req.body.reason
+    });
 
     res.json({
       message: 'Booking cancelled successfully',
+      refund,
       booking
     });
   } catch (error) {
@@ -260,17 +415,22 @@ router.put('/:id/cancel', auth, [
   }
 });
 
-// @route   PUT /api/bookings/:id/review
-// @desc    Add review to a booking
-// @access  Private (Guest only)
-router.put('/:id/review', auth, [
+// @route   POST /api/bookings/:id/reviews
+// @desc    Review a completed booking: guests review the listing, hosts review the guest
+// @access  Private (Guest or host of the booking)
+router.post('/:id/reviews', auth, requirePermission('reviews:create'), [
   body('rating')
     .isInt({ min: 1, max: 5 })
     .withMessage('Rating must be between 1 and 5'),
+  ...REVIEW_CATEGORIES.map(category => body(`ratings.${category}`)
+    .optional()
+    .isInt({ min: 1, max: 5 })
+    .withMessage(`${category} rating must be between 1 and 5`)),
   body('comment')
     .optional()
-    .isLength({ max: 500 })
-    .withMessage('Review comment cannot exceed 500 characters')
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Review comment cannot exceed 1000 characters')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -281,16 +441,24 @@ router.put('/:id/review', auth, [
       });
     }
 
-    const { rating, comment } = req.body;
+    const { rating, ratings, comment } = req.body;
 
-    const booking = await Booking.findById(req.params.id);
+    const booking = await Booking.findById(req.params.id)
+      .populate('listing', 'title host');
     if (!booking) {
       return res.status(404).json({ message: 'Booking not found' });
     }
 
-    // Check if user is the guest
-    if (booking.guest.toString() !== req.user.userId) {
-      return res.status(403).json({ message: 'Only guests can review bookings' });
+    // The guest reviews the listing; the host reviews the guest
+    const isGuest = booking.guest.toString() === req.user.userId;
+    const isHost = booking.listing?.host.toString() === req.user.userId;
+
+    if (!isGuest && !isHost) {
+      return res.status(403).json({ message: 'Not authorized to review this booking' });
+    }
+
+    if (!booking.listing) {
+      return res.status(400).json({ message: 'The listing for this booking no longer exists' });
     }
 
     // Check if booking is completed
@@ -298,38 +466,49 @@ router.put('/:id/review', auth, [
       return res.status(400).json({ message: 'Can only review completed bookings' });
     }
 
+    const type = isGuest ? 'listing' : 'guest';
+
+    if (type === 'listing') {
+      const missing = REVIEW_CATEGORIES.filter(category => ratings?.[category] === undefined);
+      if (missing.length > 0) {
+        return res.status(400).json({ message: `Missing ratings for: ${missing.join(', ')}` });
+      }
+    }
+
     // Check if already reviewed
-    if (booking.review && booking.review.rating) {
+    const existing = await Review.findOne({ booking: booking._id, type });
+    if (existing) {
       return res.status(400).json({ message: 'Booking already reviewed' });
     }
 
-    // Add review
-    booking.review = {
+    const review = await Review.create({
+      booking: booking._id,
+      listing: booking.listing._id,
+      type,
+      author: req.user.userId,
+      subject: isGuest ? booking.listing.host : booking.guest,
       rating,
-      comment: comment || '',
-      reviewDate: new Date()
-    };
-
-    await booking.save();
+      ratings: type === 'listing'
+        ? Object.fromEntries(REVIEW_CATEGORIES.map(category => [category, ratings[category]]))
+        : undefined,
+      comment: comment || ''
+    });
 
-    // Update listing rating
-    const listing = await Listing.findById(booking.listing);
-    if (listing) {
-      const totalRating = (listing.rating.average * listing.rating.count) + rating;
-      listing.rating.count += 1;
-      listing.rating.average = totalRating / listing.rating.count;
-      await listing.save();
-    }
+    await updateRatingsFor(review);
+    await notifyBookingReviewed(review, booking.listing);
 
-    res.json({
+    res.status(201).json({
       message: 'Review added successfully',
-      booking
+      review
     });
   } catch (error) {
     console.error('Add review error:', error);
     if (error.name === 'CastError') {
       return res.status(400).json({ message: 'Invalid booking ID' });
     }
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'Booking already reviewed' });
+    }
     res.status(500).json({ message: 'Server error while adding review' });
   }
 });
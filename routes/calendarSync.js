@@ -0,0 +1,286 @@
+import express from 'express';
+import { body, validationResult } from 'express-validator';
+import multer from 'multer';
+import path from 'path';
+import Listing from '../models/Listing.js';
+import auth from '../middleware/auth.js';
+import { requirePermission } from '../middleware/authorize.js';
+import {
+  buildListingFeed,
+  fetchCalendar,
+  generateExportToken,
+  importCalendar,
+  removeImportSource
+} from '../services/calendarSync.js';
+
+const router = express.Router();
+
+// Uploaded .ics files are parsed straight from memory
+const calendarUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 1024 * 1024 }, // 1MB limit
+  fileFilter: (req, file, cb) => {
+    if (file.mimetype === 'text/calendar' || path.extname(file.originalname).toLowerCase() === '.ics') {
+      cb(null, true);
+    } else {
+      cb(new Error('Only .ics calendar files are allowed'), false);
+    }
+  }
+});
+
+const feedUrl = (req, listing) => {
+  return `${req.protocol}://${req.get('host')}/api/listings/${listing._id}/calendar.ics?token=${listing.calendarSync.exportToken}`;
+};
+
+// Summarize import sources without the full list of imported dates
+const sourceSummary = (source) => ({
+  _id: source._id,
+  name: source.name,
+  type: source.type,
+  url: source.url,
+  lastSyncedAt: source.lastSyncedAt,
+  importedDays: source.importedDates.length
+});
+
+// @route   GET /api/listings/:id/calendar.ics
+// @desc    iCalendar feed of booked and blocked dates
+// @access  Public (token required)
+router.get('/:id/calendar.ics', async (req, res) => {
+  try {
+    const listing = await Listing.findById(req.params.id).select('+calendarSync.exportToken');
+
+    if (!listing || !listing.calendarSync?.exportToken || req.query.token !== listing.calendarSync.exportToken) {
+      return res.status(404).json({ message: 'Calendar not found' });
+    }
+
+    const ics = await buildListingFeed(listing);
+
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Content-Disposition', `inline; filename="listing-${listing._id}.ics"`);
+    res.send(ics);
+  } catch (error) {
+    console.error('Get calendar feed error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid listing ID' });
+    }
+    res.status(500).json({ message: 'Server error while building calendar feed' });
+  }
+});
+
+// @route   GET /api/listings/:id/calendar/sync
+// @desc    Get the export feed URL and registered import sources
+// @access  Private (Host only - own listings)
+router.get('/:id/calendar/sync', auth, requirePermission('listings:manage'), async (req, res) => {
+  try {
+    const listing = await Listing.findById(req.params.id).select('+calendarSync.exportToken');
+
+    if (!listing) {
+      return res.status(404).json({ message: 'Listing not found' });
+    }
+
+    // Check if user is the host of this listing
+    if (listing.host.toString() !== req.user.userId) {
+      return res.status(403).json({ message: 'Not authorized to manage this calendar' });
+    }
+
+    // Create the feed token the first time the host asks for it
+    if (!listing.calendarSync.exportToken) {
+      listing.calendarSync.exportToken = generateExportToken();
+      await listing.save();
+    }
+
+    res.json({
+      exportUrl: feedUrl(req, listing),
+      importSources: listing.calendarSync.importSources.map(sourceSummary)
+    });
+  } catch (error) {
+    console.error('Get calendar sync error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid listing ID' });
+    }
+    res.status(500).json({ message: 'Server error while fetching calendar sync settings' });
+  }
+});
+
+// @route   POST /api/listings/:id/calendar/sync/export-token
+// @desc    Regenerate the export feed token, invalidating the old feed URL
+// @access  Private (Host only - own listings)
+router.post('/:id/calendar/sync/export-token', auth, requirePermission('listings:manage'), async (req, res) => {
+  try {
+    const listing = await Listing.findById(req.params.id);
+
+    if (!listing) {
+      return res.status(404).json({ message: 'Listing not found' });
+    }
+
+    // Check if user is the host of this listing
+    if (listing.host.toString() !== req.user.userId) {
+      return res.status(403).json({ message: 'Not authorized to manage this calendar' });
+    }
+
+    listing.calendarSync.exportToken = generateExportToken();
+    await listing.save();
+
+    res.json({
+      message: 'Calendar feed URL regenerated',
+      exportUrl: feedUrl(req, listing)
+    });
+  } catch (error) {
+    console.error('Regenerate calendar token error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid listing ID' });
+    }
+    res.status(500).json({ message: 'Server error while regenerating calendar feed URL' });
+  }
+});
+
+// @route   POST /api/listings/:id/calendar/sources
+// @desc    Register an external calendar, either a URL or an uploaded .ics file,
+//          and import its events as blocked dates
+// @access  Private (Host only - own listings)
+router.post('/:id/calendar/sources', auth, requirePermission('listings:manage'), calendarUpload.single('calendar'), [
+  body('name')
+    .notEmpty()
+    .withMessage('Calendar source name is required')
+    .isLength({ max: 100 })
+    .withMessage('Calendar source name cannot exceed 100 characters'),
+  body('url')
+    .optional()
+    .isURL({ protocols: ['http', 'https'], require_protocol: true })
+    .withMessage('Calendar URL must be a valid http or https URL')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    if (!req.file === !req.body.url) {
+      return res.status(400).json({ message: 'Provide either a calendar URL or an .ics file' });
+    }
+
+    const listing = await Listing.findById(req.params.id);
+
+    if (!listing) {
+      return res.status(404).json({ message: 'Listing not found' });
+    }
+
+    // Check if user is the host of this listing
+    if (listing.host.toString() !== req.user.userId) {
+      return res.status(403).json({ message: 'Not authorized to manage this calendar' });
+    }
+
+    let icsText;
+    try {
+      icsText = req.file ? req.file.buffer.toString('utf8') : await fetchCalendar(req.body.url);
+    } catch (error) {
+      return res.status(502).json({ message: `Could not fetch calendar: ${error.message}` });
+    }
+
+    listing.calendarSync.importSources.push({
+      name: req.body.name,
+      type: req.file ? 'file' : 'url',
+      url: req.body.url
+    });
+    const source = listing.calendarSync.importSources[listing.calendarSync.importSources.length - 1];
+    await listing.save();
+
+    const updatedListing = await importCalendar(listing, source._id, icsText);
+
+    res.status(201).json({
+      message: 'Calendar imported successfully',
+      source: sourceSummary(updatedListing.calendarSync.importSources.id(source._id))
+    });
+  } catch (error) {
+    console.error('Add calendar source error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid listing ID' });
+    }
+    res.status(500).json({ message: 'Server error while importing calendar' });
+  }
+});
+
+// @route   POST /api/listings/:id/calendar/sources/:sourceId/sync
+// @desc    Re-import a calendar source. URL sources are fetched again; file
+//          sources need a new .ics upload.
+// @access  Private (Host only - own listings)
+router.post('/:id/calendar/sources/:sourceId/sync', auth, requirePermission('listings:manage'), calendarUpload.single('calendar'), async (req, res) => {
+  try {
+    const listing = await Listing.findById(req.params.id);
+
+    if (!listing) {
+      return res.status(404).json({ message: 'Listing not found' });
+    }
+
+    // Check if user is the host of this listing
+    if (listing.host.toString() !== req.user.userId) {
+      return res.status(403).json({ message: 'Not authorized to manage this calendar' });
+    }
+
+    const source = listing.calendarSync.importSources.id(req.params.sourceId);
+    if (!source) {
+      return res.status(404).json({ message: 'Calendar source not found' });
+    }
+
+    if (source.type === 'file' && !req.file) {
+      return res.status(400).json({ message: 'Upload an .ics file to re-import this calendar' });
+    }
+
+    let icsText;
+    try {
+      icsText = req.file ? req.file.buffer.toString('utf8') : await fetchCalendar(source.url);
+    } catch (error) {
+      return res.status(502).json({ message: `Could not fetch calendar: ${error.message}` });
+    }
+
+    const updatedListing = await importCalendar(listing, source._id, icsText);
+
+    res.json({
+      message: 'Calendar synced successfully',
+      source: sourceSummary(updatedListing.calendarSync.importSources.id(source._id))
+    });
+  } catch (error) {
+    console.error('Sync calendar source error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid ID' });
+    }
+    res.status(500).json({ message: 'Server error while syncing calendar' });
+  }
+});
+
+// @route   DELETE /api/listings/:id/calendar/sources/:sourceId
+// @desc    Remove a calendar source and unblock the dates it imported
+// @access  Private (Host only - own listings)
+router.delete('/:id/calendar/sources/:sourceId', auth, requirePermission('listings:manage'), async (req, res) => {
+  try {
+    const listing = await Listing.findById(req.params.id);
+
+    if (!listing) {
+      return res.status(404).json({ message: 'Listing not found' });
+    }
+
+    // Check if user is the host of this listing
+    if (listing.host.toString() !== req.user.userId) {
+      return res.status(403).json({ message: 'Not authorized to manage this calendar' });
+    }
+
+    if (!listing.calendarSync.importSources.id(req.params.sourceId)) {
+      return res.status(404).json({ message: 'Calendar source not found' });
+    }
+
+    await removeImportSource(listing, req.params.sourceId);
+
+    res.json({ message: 'Calendar source removed successfully' });
+  } catch (error) {
+    console.error('Remove calendar source error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid ID' });
+    }
+    res.status(500).json({ message: 'Server error while removing calendar source' });
+  }
+});
+
+export default router;
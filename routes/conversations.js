@@ -0,0 +1,374 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import { body, query, validationResult } from 'express-validator';
+import Conversation from '../models/Conversation.js';
+import Message from '../models/Message.js';
+import Listing from '../models/Listing.js';
+import Booking from '../models/Booking.js';
+import auth from '../middleware/auth.js';
+
+const router = express.Router();
+
+const PREVIEW_LENGTH = 100;
+
+const messageValidator = body('message')
+  .trim()
+  .notEmpty()
+  .withMessage('Message cannot be empty')
+  .isLength({ max: 2000 })
+  .withMessage('Message cannot exceed 2000 characters');
+
+const paginationValidators = [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be at least 1'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+];
+
+// Messages sent to the user that they have not read yet
+const unreadFilter = (userId) => ({
+  sender: { $ne: new mongoose.Types.ObjectId(userId) },
+  readAt: null
+});
+
+const addMessage = async (conversation, senderId, text) => {
+  const message = await Message.create({
+    conversation: conversation._id,
+    sender: senderId,
+    body: text
+  });
+
+  conversation.lastMessageAt = message.createdAt;
+  conversation.lastMessagePreview = text.slice(0, PREVIEW_LENGTH);
+  await conversation.save();
+
+  return message;
+};
+
+// @route   GET /api/conversations
+// @desc    List the current user's threads with unread counts
+// @access  Private
+router.get('/', auth, [
+  query('listing').optional().isMongoId().withMessage('Invalid listing ID'),
+  ...paginationValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { listing, page = 1, limit = 20 } = req.query;
+
+    const filter = {
+      $or: [{ guest: req.user.userId }, { host: req.user.userId }]
+    };
+    if (listing) {
+      filter.listing = listing;
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const conversations = await Conversation.find(filter)
+      .populate('listing', 'title images')
+      .populate('guest', 'firstName lastName avatar')
+      .populate('host', 'firstName lastName avatar')
+      .sort({ lastMessageAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit))
+      .lean();
+
+    const unreadCounts = await Message.aggregate([
+      {
+        $match: {
+          conversation: { $in: conversations.map(conversation => conversation._id) },
+          ...unreadFilter(req.user.userId)
+        }
+      },
+      { $group: { _id: '$conversation', count: { $sum: 1 } } }
+    ]);
+    const unreadById = new Map(unreadCounts.map(({ _id, count }) => [_id.toString(), count]));
+
+    const total = await Conversation.countDocuments(filter);
+    const totalPages = Math.ceil(total / parseInt(limit));
+
+    res.json({
+      conversations: conversations.map(conversation => ({
+        ...conversation,
+        unreadCount: unreadById.get(conversation._id.toString()) || 0
+      })),
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages,
+        total,
+        hasNextPage: parseInt(page) < totalPages,
+        hasPreviousPage: parseInt(page) > 1
+      }
+    });
+  } catch (error) {
+    console.error('Get conversations error:', error);
+    res.status(500).json({ message: 'Server error while fetching conversations' });
+  }
+});
+
+// @route   GET /api/conversations/unread-count
+// @desc    Get the number of unread messages across all threads
+// @access  Private
+router.get('/unread-count', auth, async (req, res) => {
+  try {
+    const conversations = await Conversation.find({
+      $or: [{ guest: req.user.userId }, { host: req.user.userId }]
+    }).select('_id');
+
+    const [result] = await Message.aggregate([
+      {
+        $match: {
+          conversation: { $in: conversations.map(conversation => conversation._id) },
+          ...unreadFilter(req.user.userId)
+        }
+      },
+      {
+        $group: {
+          _id: null,
+          unreadCount: { $sum: 1 },
+          conversations: { $addToSet: '$conversation' }
+        }
+      }
+    ]);
+
+    res.json({
+      unreadCount: result ? result.unreadCount : 0,
+      unreadConversations: result ? result.conversations.length : 0
+    });
+  } catch (error) {
+    console.error('Get unread count error:', error);
+    res.status(500).json({ message: 'Server error while fetching unread count' });
+  }
+});
+
+// @route   POST /api/conversations
+// @desc    Start (or continue) a thread about a listing or booking
+// @access  Private
+router.post('/', auth, [
+  body('listing')
+    .notEmpty()
+    .withMessage('Listing ID is required')
+    .isMongoId()
+    .withMessage('Invalid listing ID'),
+  body('booking')
+    .optional({ values: 'null' })
+    .isMongoId()
+    .withMessage('Invalid booking ID'),
+  messageValidator
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { listing: listingId, booking: bookingId, message: text } = req.body;
+
+    const listing = await Listing.findById(listingId).select('host');
+    if (!listing) {
+      return res.status(404).json({ message: 'Listing not found' });
+    }
+
+    const isHost = listing.host.toString() === req.user.userId;
+    let guestId = req.user.userId;
+
+    if (bookingId) {
+      const booking = await Booking.findById(bookingId).select('listing guest');
+      if (!booking) {
+        return res.status(404).json({ message: 'Booking not found' });
+      }
+
+      if (booking.listing.toString() !== listingId) {
+        return res.status(400).json({ message: 'Booking does not belong to this listing' });
+      }
+
+      // Either side of a booking may open its thread
+      if (booking.guest.toString() !== req.user.userId && !isHost) {
+        return res.status(403).json({ message: 'Not authorized to message about this booking' });
+      }
+
+      guestId = booking.guest.toString();
+    } else if (isHost) {
+      return res.status(400).json({ message: 'Hosts can only message guests about a booking' });
+    }
+
+    const thread = { listing: listing._id, guest: guestId, booking: bookingId || null };
+    let conversation;
+    try {
+      conversation = await Conversation.findOneAndUpdate(
+        thread,
+        { $setOnInsert: { host: listing.host } },
+        { new: true, upsert: true }
+      );
+    } catch (error) {
+      // A concurrent request created the thread first; use that one
+      if (error.code !== 11000) {
+        throw error;
+      }
+      conversation = await Conversation.findOne(thread);
+    }
+
+    const message = await addMessage(conversation, req.user.userId, text);
+
+    res.status(201).json({
+      message: 'Message sent successfully',
+      conversation,
+      sentMessage: message
+    });
+  } catch (error) {
+    console.error('Start conversation error:', error);
+    res.status(500).json({ message: 'Server error while sending message' });
+  }
+});
+
+// @route   GET /api/conversations/:id
+// @desc    Get a thread and its messages, newest first
+// @access  Private (Guest, host or admin)
+router.get('/:id', auth, paginationValidators, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const conversation = await Conversation.findById(req.params.id)
+      .populate('listing', 'title images')
+      .populate('booking', 'checkIn checkOut status')
+      .populate('guest', 'firstName lastName avatar')
+      .populate('host', 'firstName lastName avatar');
+
+    if (!conversation) {
+      return res.status(404).json({ message: 'Conversation not found' });
+    }
+
+    // Admins may read any thread for moderation. A participant whose
+    // account was deleted populates as null.
+    const isParticipant = [conversation.guest, conversation.host]
+      .some(user => user?._id.toString() === req.user.userId);
+
+    if (!isParticipant && req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'Not authorized to view this conversation' });
+    }
+
+    const { page = 1, limit = 50 } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const messages = await Message.find({ conversation: conversation._id })
+      .populate('sender', 'firstName lastName avatar')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await Message.countDocuments({ conversation: conversation._id });
+    const totalPages = Math.ceil(total / parseInt(limit));
+
+    // Admins reviewing a thread do not count as reading it
+    const unreadCount = isParticipant
+      ? await Message.countDocuments({
+        conversation: conversation._id,
+        ...unreadFilter(req.user.userId)
+      })
+      : 0;
+
+    res.json({
+      conversation,
+      messages,
+      unreadCount,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages,
+        total,
+        hasNextPage: parseInt(page) < totalPages,
+        hasPreviousPage: parseInt(page) > 1
+      }
+    });
+  } catch (error) {
+    console.error('Get conversation error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid conversation ID' });
+    }
+    res.status(500).json({ message: 'Server error while fetching conversation' });
+  }
+});
+
+// @route   POST /api/conversations/:id/messages
+// @desc    Send a message in a thread
+// @access  Private (Guest or host)
+router.post('/:id/messages', auth, [messageValidator], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const conversation = await Conversation.findById(req.params.id);
+    if (!conversation) {
+      return res.status(404).json({ message: 'Conversation not found' });
+    }
+
+    if (!conversation.isParticipant(req.user.userId)) {
+      return res.status(403).json({ message: 'Not authorized to post in this conversation' });
+    }
+
+    const message = await addMessage(conversation, req.user.userId, req.body.message);
+
+    res.status(201).json({
+      message: 'Message sent successfully',
+      sentMessage: message
+    });
+  } catch (error) {
+    console.error('Send message error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid conversation ID' });
+    }
+    res.status(500).json({ message: 'Server error while sending message' });
+  }
+});
+
+// @route   PUT /api/conversations/:id/read
+// @desc    Mark all messages from the other participant as read
+// @access  Private (Guest or host)
+router.put('/:id/read', auth, async (req, res) => {
+  try {
+    const conversation = await Conversation.findById(req.params.id);
+    if (!conversation) {
+      return res.status(404).json({ message: 'Conversation not found' });
+    }
+
+    if (!conversation.isParticipant(req.user.userId)) {
+      return res.status(403).json({ message: 'Only participants can mark messages as read' });
+    }
+
+    const result = await Message.updateMany(
+      { conversation: conversation._id, ...unreadFilter(req.user.userId) },
+      { readAt: new Date() }
+    );
+
+    res.json({
+      message: 'Messages marked as read',
+      markedRead: result.modifiedCount
+    });
+  } catch (error) {
+    console.error('Mark conversation read error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid conversation ID' });
+    }
+    res.status(500).json({ message: 'Server error while marking messages as read' });
+  }
+});
+
+export default router;
@@ -0,0 +1,24 @@
+import express from 'express';
+import { getExchangeRates } from '../services/exchangeRates.js';
+import { getBaseCurrency } from '../utils/currency.js';
+
+const router = express.Router();
+
+// @route   GET /api/exchange-rates
+// @desc    Get the currencies prices can be shown in, with their rates
+// @access  Public
+router.get('/', async (req, res) => {
+  try {
+    const rates = await getExchangeRates();
+
+    res.json({
+      base: getBaseCurrency(),
+      rates: Object.fromEntries([...rates].sort(([a], [b]) => a.localeCompare(b)))
+    });
+  } catch (error) {
+    console.error('Get exchange rates error:', error);
+    res.status(500).json({ message: 'Server error while fetching exchange rates' });
+  }
+});
+
+export default router;
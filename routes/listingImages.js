@@ -0,0 +1,185 @@
+import express from 'express';
+import { body, validationResult } from 'express-validator';
+import Listing from '../models/Listing.js';
+import auth from '../middleware/auth.js';
+import { requirePermission } from '../middleware/authorize.js';
+import { deleteImageFiles, imageUrls } from '../services/listingImages.js';
+
+const router = express.Router();
+
+// @route   PUT /api/listings/:id/images/order
+// @desc    Reorder a listing's images; the first image is the cover
+// @access  Private (Host only - own listings)
+router.put('/:id/images/order', auth, requirePermission('listings:manage'), [
+  body('imageIds')
+    .isArray({ min: 1 })
+    .withMessage('Image IDs must be a non-empty array'),
+  body('imageIds.*')
+    .isMongoId()
+    .withMessage('Invalid image ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const listing = await Listing.findById(req.params.id);
+
+    if (!listing) {
+      return res.status(404).json({ message: 'Listing not found' });
+    }
+
+    // Check if user is the host of this listing
+    if (listing.host.toString() !== req.user.userId) {
+      return res.status(403).json({ message: 'Not authorized to update this listing' });
+    }
+
+    // The new order must list every current image exactly once
+    const { imageIds } = req.body;
+    const currentIds = listing.images.map(image => image._id.toString());
+    if (imageIds.length !== currentIds.length ||
+        new Set(imageIds).size !== imageIds.length ||
+        !imageIds.every(id => currentIds.includes(id))) {
+      return res.status(400).json({ message: 'Image IDs must include every image of the listing exactly once' });
+    }
+
+    listing.images = imageIds.map(id => listing.images.id(id));
+    await listing.save();
+
+    res.json({ message: 'Images reordered successfully', images: listing.images });
+  } catch (error) {
+    console.error('Reorder images error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid listing ID' });
+    }
+    res.status(500).json({ message: 'Server error while reordering images' });
+  }
+});
+
+// @route   PUT /api/listings/:id/images/:imageId/cover
+// @desc    Make an image the cover image by moving it to the front
+// @access  Private (Host only - own listings)
+router.put('/:id/images/:imageId/cover', auth, requirePermission('listings:manage'), async (req, res) => {
+  try {
+    const listing = await Listing.findById(req.params.id);
+
+    if (!listing) {
+      return res.status(404).json({ message: 'Listing not found' });
+    }
+
+    // Check if user is the host of this listing
+    if (listing.host.toString() !== req.user.userId) {
+      return res.status(403).json({ message: 'Not authorized to update this listing' });
+    }
+
+    const image = listing.images.id(req.params.imageId);
+    if (!image) {
+      return res.status(404).json({ message: 'Image not found' });
+    }
+
+    listing.images = [image, ...listing.images.filter(other => !other._id.equals(image._id))];
+    await listing.save();
+
+    res.json({ message: 'Cover image updated successfully', images: listing.images });
+  } catch (error) {
+    console.error('Set cover image error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid ID' });
+    }
+    res.status(500).json({ message: 'Server error while setting cover image' });
+  }
+});
+
+// @route   PUT /api/listings/:id/images/:imageId
+// @desc    Edit an image caption
+// @access  Private (Host only - own listings)
+router.put('/:id/images/:imageId', auth, requirePermission('listings:manage'), [
+  body('caption')
+    .isString()
+    .withMessage('Caption must be a string')
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Caption cannot exceed 200 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const listing = await Listing.findById(req.params.id);
+
+    if (!listing) {
+      return res.status(404).json({ message: 'Listing not found' });
+    }
+
+    // Check if user is the host of this listing
+    if (listing.host.toString() !== req.user.userId) {
+      return res.status(403).json({ message: 'Not authorized to update this listing' });
+    }
+
+    const image = listing.images.id(req.params.imageId);
+    if (!image) {
+      return res.status(404).json({ message: 'Image not found' });
+    }
+
+    image.caption = req.body.caption;
+    await listing.save();
+
+    res.json({ message: 'Caption updated successfully', image });
+  } catch (error) {
+    console.error('Update caption error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid ID' });
+    }
+    res.status(500).json({ message: 'Server error while updating caption' });
+  }
+});
+
+// @route   DELETE /api/listings/:id/images/:imageId
+// @desc    Remove an image and delete its file
+// @access  Private (Host only - own listings)
+router.delete('/:id/images/:imageId', auth, requirePermission('listings:manage'), async (req, res) => {
+  try {
+    const listing = await Listing.findById(req.params.id);
+
+    if (!listing) {
+      return res.status(404).json({ message: 'Listing not found' });
+    }
+
+    // Check if user is the host of this listing
+    if (listing.host.toString() !== req.user.userId) {
+      return res.status(403).json({ message: 'Not authorized to update this listing' });
+    }
+
+    const image = listing.images.id(req.params.imageId);
+    if (!image) {
+      return res.status(404).json({ message: 'Image not found' });
+    }
+
+    listing.images.pull(image._id);
+    await listing.save();
+
+    // Only delete the file if this listing no longer uses it
+    if (!listing.images.some(other => other.url === image.url)) {
+      await deleteImageFiles(imageUrls(image), { excludeListingId: listing._id });
+    }
+
+    res.json({ message: 'Image deleted successfully', images: listing.images });
+  } catch (error) {
+    console.error('Delete image error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid ID' });
+    }
+    res.status(500).json({ message: 'Server error while deleting image' });
+  }
+});
+
+export default router;
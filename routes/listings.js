@@ -1,45 +1,65 @@
 import express from 'express';
 import { body, query, validationResult } from 'express-validator';
-import Listing from '../models/Listing.js';
-import auth from '../middleware/auth.js';
+import Listing, { BOOKING_MODES } from '../models/Listing.js';
+import Booking from '../models/Booking.js';
+import Review from '../models/Review.js';
+import Wishlist from '../models/Wishlist.js';
+import auth, { optionalAuth } from '../middleware/auth.js';
+import { requirePermission } from '../middleware/authorize.js';
+import { activeBookingCondition, buildAvailabilityFilter, buildCalendar, overlapCondition } from '../utils/availability.js';
+import { addDays, eachNight, startOfDay } from '../utils/dates.js';
+import { CANCELLATION_POLICY_TYPES, getCancellationPolicyError } from '../utils/cancellationPolicy.js';
+import { calculatePrice } from '../utils/pricing.js';
+import { boundingBoxCondition, distanceKm, radiusCondition } from '../utils/geo.js';
+import { buildHighlights } from '../utils/search.js';
+import { checkStayLength, getStayRulesError } from '../utils/stayRules.js';
+import { getBaseCurrency, priceRangeCondition, withDisplayPrice } from '../utils/currency.js';
+import { deleteImageFiles, imageUrls } from '../services/listingImages.js';
+import { withSavedFlags } from '../services/wishlists.js';
+import { getExchangeRates } from '../services/exchangeRates.js';
+import { ImageValidationError, LISTING_UPLOADS_DIR, processListingUploads } from '../services/imageProcessing.js';
 import multer from 'multer';
-import path from 'path';
 import fs from 'fs';
-import { fileURLToPath } from 'url';
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
 
 const router = express.Router();
 
 // Ensure upload directory exists
-const uploadsDir = path.join(__dirname, '../uploads/listings');
-if (!fs.existsSync(uploadsDir)) {
-  fs.mkdirSync(uploadsDir, { recursive: true });
+if (!fs.existsSync(LISTING_UPLOADS_DIR)) {
+  fs.mkdirSync(LISTING_UPLOADS_DIR, { recursive: true });
 }
 
-// Configure multer for image uploads
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    cb(null, 'uploads/listings/');
-  },
-  filename: (req, file, cb) => {
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    cb(null, `listing-${uniqueSuffix}${path.extname(file.originalname)}`);
-  }
+// Uploads are kept in memory and only written to disk after the image
+// pipeline has checked their content and generated the resized variants
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: parseInt(process.env.MAX_FILE_SIZE) || 5 * 1024 * 1024 } // 5MB default
 });
 
-const upload = multer({
-  storage,
-  limits: { fileSize: 5 * 1024 * 1024 }, // 5MB limit
-  fileFilter: (req, file, cb) => {
-    if (file.mimetype.startsWith('image/')) {
-      cb(null, true);
-    } else {
-      cb(new Error('Only image files are allowed'), false);
+// Run uploaded files through the image pipeline, taking captions from the
+// optional `captions` field (an array or JSON array string in upload order)
+const processUploadedImages = async (files = [], captions = []) => {
+  const parsedCaptions = typeof captions === 'string' ? JSON.parse(captions) : captions;
+  const images = await processListingUploads(files);
+  return images.map((image, index) => ({
+    ...image,
+    caption: String(parsedCaptions?.[index] || '').slice(0, 200)
+  }));
+};
+
+// Listings may only be priced in a currency that has an exchange rate
+const currencyValidator = body('currency')
+  .optional()
+  .toUpperCase()
+  .isISO4217()
+  .withMessage('Currency must be a valid ISO 4217 code')
+  .bail()
+  .custom(async value => {
+    const rates = await getExchangeRates();
+    if (!rates.has(value)) {
+      throw new Error(`No exchange rate is set for ${value}`);
     }
-  }
-});
+    return true;
+  });
 
 // @route   GET /api/listings/host/my-listings
 // @desc    Get host's listings (MUST be before /:id route)
@@ -57,15 +77,98 @@ router.get('/host/my-listings', auth, async (req, res) => {
   }
 });
 
+const DEFAULT_SEARCH_RADIUS_KM = 25;
+const MAX_SEARCH_RADIUS_KM = 500;
+
 // @route   GET /api/listings
 // @desc    Get all listings with filters
 // @access  Public
-router.get('/', [
+router.get('/', optionalAuth, [
+  query('q')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Search query cannot exceed 100 characters'),
   query('city').optional().trim(),
   query('minPrice').optional().isNumeric().withMessage('Min price must be a number'),
   query('maxPrice').optional().isNumeric().withMessage('Max price must be a number'),
+  query('currency')
+    .optional()
+    .toUpperCase()
+    .isISO4217()
+    .withMessage('Currency must be a valid ISO 4217 code'),
   query('guests').optional().isInt({ min: 1 }).withMessage('Guests must be at least 1'),
   query('propertyType').optional().isIn(['apartment', 'house', 'condo', 'villa', 'studio', 'room']),
+  query('instantBook')
+    .optional()
+    .isBoolean()
+    .withMessage('Instant book must be true or false')
+    .toBoolean(),
+  query('checkIn')
+    .optional()
+    .isISO8601()
+    .withMessage('Check-in date must be a valid date')
+    .custom((value, { req }) => {
+      if (!req.query.checkOut) {
+        throw new Error('Check-out date is required when check-in date is provided');
+      }
+      return true;
+    }),
+  query('checkOut')
+    .optional()
+    .isISO8601()
+    .withMessage('Check-out date must be a valid date')
+    .custom((value, { req }) => {
+      if (!req.query.checkIn) {
+        throw new Error('Check-in date is required when check-out date is provided');
+      }
+      if (new Date(value) <= new Date(req.query.checkIn)) {
+        throw new Error('Check-out date must be after check-in date');
+      }
+      return true;
+    }),
+  query('lat')
+    .optional()
+    .isFloat({ min: -90, max: 90 })
+    .withMessage('Latitude must be between -90 and 90')
+    .custom((value, { req }) => {
+      if (req.query.lng === undefined) {
+        throw new Error('Longitude is required when latitude is provided');
+      }
+      return true;
+    }),
+  query('lng')
+    .optional()
+    .isFloat({ min: -180, max: 180 })
+    .withMessage('Longitude must be between -180 and 180')
+    .custom((value, { req }) => {
+      if (req.query.lat === undefined) {
+        throw new Error('Latitude is required when longitude is provided');
+      }
+      return true;
+    }),
+  query('radius')
+    .optional()
+    .isFloat({ min: 0.1, max: MAX_SEARCH_RADIUS_KM })
+    .withMessage(`Radius must be between 0.1 and ${MAX_SEARCH_RADIUS_KM} km`),
+  query(['swLat', 'neLat'])
+    .optional()
+    .isFloat({ min: -90, max: 90 })
+    .withMessage('Bounding box latitudes must be between -90 and 90'),
+  query(['swLng', 'neLng'])
+    .optional()
+    .isFloat({ min: -180, max: 180 })
+    .withMessage('Bounding box longitudes must be between -180 and 180'),
+  query('swLat').custom((value, { req }) => {
+    const corners = ['swLat', 'swLng', 'neLat', 'neLng'].filter(key => req.query[key] !== undefined);
+    if (corners.length > 0 && corners.length < 4) {
+      throw new Error('Bounding box requires swLat, swLng, neLat and neLng');
+    }
+    if (corners.length === 4 && parseFloat(req.query.swLat) >= parseFloat(req.query.neLat)) {
+      throw new Error('Bounding box south-west latitude must be below north-east latitude');
+    }
+    return true;
+  }),
   query('page').optional().isInt({ min: 1 }).withMessage('Page must be at least 1'),
   query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50')
 ], async (req, res) => {
@@ -79,17 +182,34 @@ router.get('/', [
     }
 
     const {
+      q,
+      lat,
+      lng,
+      radius = DEFAULT_SEARCH_RADIUS_KM,
+      swLat,
+      swLng,
+      neLat,
+      neLng,
       city,
       minPrice,
       maxPrice,
+      currency,
       guests,
       propertyType,
+      instantBook,
       checkIn,
       checkOut,
       page = 1,
       limit = 12
     } = req.query;
 
+    // Prices are shown, and price filters applied, in the display currency
+    const rates = await getExchangeRates();
+    const displayCurrency = currency || getBaseCurrency();
+    if (!rates.has(displayCurrency)) {
+      return res.status(400).json({ message: `No exchange rate is set for ${displayCurrency}` });
+    }
+
     // Build filter object
     const filter = { isActive: true };
 
@@ -97,12 +217,6 @@ router.get('/', [
       filter['location.city'] = { $regex: city, $options: 'i' };
     }
 
-    if (minPrice || maxPrice) {
-      filter.price = {};
-      if (minPrice) filter.price.$gte = parseFloat(minPrice);
-      if (maxPrice) filter.price.$lte = parseFloat(maxPrice);
-    }
-
     if (guests) {
       filter.maxGuests = { $gte: parseInt(guests) };
     }
@@ -111,19 +225,122 @@ router.get('/', [
       filter.propertyType = propertyType;
     }
 
+    if (instantBook !== undefined) {
+      filter.bookingMode = instantBook ? 'instant' : 'request';
+    }
+
+    // Exclude listings that are booked, blocked or outside their availability window
+    if (checkIn && checkOut) {
+      filter.$and = await buildAvailabilityFilter(new Date(checkIn), new Date(checkOut));
+    }
+
+    // Compare each listing's price converted from its own currency
+    if (minPrice || maxPrice) {
+      filter.$and = [
+        ...(filter.$and || []),
+        priceRangeCondition(
+          rates,
+          displayCurrency,
+          minPrice ? parseFloat(minPrice) : null,
+          maxPrice ? parseFloat(maxPrice) : null
+        )
+      ];
+    }
+
+    // Full-text search over title, description and location
+    if (q) {
+      filter.$text = { $search: q };
+    }
+
+    // Restrict to the visible map area
+    if (swLat !== undefined) {
+      filter.$and = [
+        ...(filter.$and || []),
+        boundingBoxCondition({
+          swLat: parseFloat(swLat),
+          swLng: parseFloat(swLng),
+          neLat: parseFloat(neLat),
+          neLng: parseFloat(neLng)
+        })
+      ];
+    }
+
     // Calculate pagination
     const skip = (parseInt(page) - 1) * parseInt(limit);
 
-    // Get listings with pagination
-    const listings = await Listing.find(filter)
-      .populate('host', 'firstName lastName avatar')
-      .select('-__v')
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(parseInt(limit));
+    let listings;
+    let totalListings;
+
+    const center = lat !== undefined
+      ? { lat: parseFloat(lat), lng: parseFloat(lng), radiusKm: parseFloat(radius) }
+      : null;
+
+    if (center && !q) {
+      // Radius search: nearest first, with the distance in km on each listing
+      listings = await Listing.aggregate([
+        {
+          $geoNear: {
+            near: { type: 'Point', coordinates: [center.lng, center.lat] },
+            key: 'location.geo',
+            distanceField: 'distance',
+            distanceMultiplier: 0.001, // meters to km
+            maxDistance: center.radiusKm * 1000,
+            spherical: true,
+            query: filter
+          }
+        },
+        { $skip: skip },
+        { $limit: parseInt(limit) },
+        { $project: { __v: 0, 'calendarSync.exportToken': 0 } }
+      ]);
+      await Listing.populate(listings, { path: 'host', select: 'firstName lastName avatar' });
+
+      listings.forEach(listing => {
+        listing.distance = Math.round(listing.distance * 100) / 100;
+      });
+
+      // $geoNear can't be counted directly, so count the same circle with $geoWithin
+      totalListings = await Listing.countDocuments({
+        ...filter,
+        $and: [...(filter.$and || []), { 'location.geo': radiusCondition(center) }]
+      });
+    } else {
+      // $text can't be combined with $geoNear, so text + radius searches
+      // filter on the circle and rank by relevance instead of distance
+      if (center) {
+        filter.$and = [...(filter.$and || []), { 'location.geo': radiusCondition(center) }];
+      }
+
+      // Get listings with pagination, most relevant first when searching
+      listings = await Listing.find(filter)
+        .populate('host', 'firstName lastName avatar')
+        .select(q ? { __v: 0, score: { $meta: 'textScore' } } : '-__v')
+        .sort(q ? { score: { $meta: 'textScore' }, createdAt: -1 } : { createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit));
+
+      // Get total count for pagination
+      totalListings = await Listing.countDocuments(filter);
+
+      if (q) {
+        const origin = center && { coordinates: [center.lng, center.lat] };
+        listings = listings.map(listing => ({
+          ...listing.toJSON(),
+          ...(origin && listing.location.geo && {
+            distance: Math.round(distanceKm(origin, listing.location.geo) * 100) / 100
+          }),
+          highlights: buildHighlights(listing, q)
+        }));
+      }
+    }
+
+    listings = listings.map(listing => withDisplayPrice(listing, rates, displayCurrency));
+
+    // Flag the listings the logged-in user has saved
+    if (req.user) {
+      listings = await withSavedFlags(req.user.userId, listings);
+    }
 
-    // Get total count for pagination
-    const totalListings = await Listing.countDocuments(filter);
     const totalPages = Math.ceil(totalListings / parseInt(limit));
 
     res.json({
@@ -145,9 +362,9 @@ router.get('/', [
 // @route   GET /api/listings/:id
 // @desc    Get single listing by ID
 // @access  Public
-router.get('/:id', async (req, res) => {
+router.get('/:id', optionalAuth, async (req, res) => {
   try {
-    const listing = await Listing.findById(req.params.id)
+    let listing = await Listing.findById(req.params.id)
       .populate('host', 'firstName lastName avatar bio joinedDate')
       .select('-__v');
 
@@ -159,6 +376,10 @@ router.get('/:id', async (req, res) => {
       return res.status(404).json({ message: 'Listing is not available' });
     }
 
+    if (req.user) {
+      [listing] = await withSavedFlags(req.user.userId, [listing]);
+    }
+
     res.json({ listing });
   } catch (error) {
     console.error('Get listing error:', error);
@@ -169,10 +390,325 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+// @route   GET /api/listings/:id/reviews
+// @desc    Get a listing's guest reviews with its rating summary
+// @access  Public
+router.get('/:id/reviews', [
+  query('sort').optional().isIn(['newest', 'highest', 'lowest']).withMessage('Sort must be newest, highest or lowest'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be at least 1'),
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const listing = await Listing.findById(req.params.id).select('rating isActive');
+
+    if (!listing || !listing.isActive) {
+      return res.status(404).json({ message: 'Listing not found' });
+    }
+
+    const { sort = 'newest', page = 1, limit = 10 } = req.query;
+    const sortOrders = {
+      newest: { createdAt: -1 },
+      highest: { rating: -1, createdAt: -1 },
+      lowest: { rating: 1, createdAt: -1 }
+    };
+
+    const filter = { listing: listing._id, type: 'listing' };
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const reviews = await Review.find(filter)
+      .populate('author', 'firstName lastName avatar')
+      .select('-__v')
+      .sort(sortOrders[sort])
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const totalReviews = await Review.countDocuments(filter);
+    const totalPages = Math.ceil(totalReviews / parseInt(limit));
+
+    res.json({
+      rating: listing.rating,
+      reviews,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages,
+        totalReviews,
+        hasNextPage: parseInt(page) < totalPages,
+        hasPreviousPage: parseInt(page) > 1
+      }
+    });
+  } catch (error) {
+    console.error('Get listing reviews error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid listing ID' });
+    }
+    res.status(500).json({ message: 'Server error while fetching reviews' });
+  }
+});
+
+// @route   GET /api/listings/:id/quote
+// @desc    Get an itemized price quote for a stay
+// @access  Public
+router.get('/:id/quote', [
+  query('checkIn')
+    .isISO8601()
+    .withMessage('Check-in date must be a valid date'),
+  query('checkOut')
+    .isISO8601()
+    .withMessage('Check-out date must be a valid date')
+    .custom((value, { req }) => {
+      if (new Date(value) <= new Date(req.query.checkIn)) {
+        throw new Error('Check-out date must be after check-in date');
+      }
+      return checkStayLength(new Date(req.query.checkIn), new Date(value));
+    }),
+  query('adults').optional().isInt({ min: 1 }).withMessage('At least 1 adult is required'),
+  query('children').optional().isInt({ min: 0 }).withMessage('Children count cannot be negative'),
+  query('infants').optional().isInt({ min: 0 }).withMessage('Infants count cannot be negative')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const listing = await Listing.findById(req.params.id);
+
+    if (!listing || !listing.isActive) {
+      return res.status(404).json({ message: 'Listing not found' });
+    }
+
+    const guests = {
+      adults: parseInt(req.query.adults) || 1,
+      children: parseInt(req.query.children) || 0,
+      infants: parseInt(req.query.infants) || 0
+    };
+
+    const totalGuests = guests.adults + guests.children + guests.infants;
+    if (totalGuests > listing.maxGuests) {
+      return res.status(400).json({ 
+        message: `This property can accommodate maximum ${listing.maxGuests} guests` 
+      });
+    }
+
+    const quote = calculatePrice(
+      listing,
+      new Date(req.query.checkIn),
+      new Date(req.query.checkOut),
+      guests
+    );
+
+    res.json({
+      quote: {
+        ...quote,
+        currency: listing.currency
+      }
+    });
+  } catch (error) {
+    console.error('Get quote error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid listing ID' });
+    }
+    res.status(500).json({ message: 'Server error while calculating quote' });
+  }
+});
+
+const MAX_CALENDAR_MONTHS = 12;
+const MAX_BLOCK_DAYS = 366;
+
+// Validators for an inclusive startDate/endDate range in the request body
+const dateRangeValidators = [
+  body('startDate')
+    .isISO8601()
+    .withMessage('Start date must be a valid date'),
+  body('endDate')
+    .isISO8601()
+    .withMessage('End date must be a valid date')
+    .custom((value, { req }) => {
+      const start = new Date(req.body.startDate);
+      const end = new Date(value);
+      if (end < start) {
+        throw new Error('End date must be on or after start date');
+      }
+      if ((end - start) / (1000 * 60 * 60 * 24) >= MAX_BLOCK_DAYS) {
+        throw new Error(`Date range cannot exceed ${MAX_BLOCK_DAYS} days`);
+      }
+      return true;
+    })
+];
+
+// @route   GET /api/listings/:id/calendar
+// @desc    Get day-by-day availability and prices for a range of months
+// @access  Public
+router.get('/:id/calendar', [
+  query('startMonth')
+    .optional()
+    .matches(/^\d{4}-(0[1-9]|1[0-2])$/)
+    .withMessage('Start month must be in YYYY-MM format'),
+  query('endMonth')
+    .optional()
+    .matches(/^\d{4}-(0[1-9]|1[0-2])$/)
+    .withMessage('End month must be in YYYY-MM format')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const startMonth = req.query.startMonth || new Date().toISOString().slice(0, 7);
+    const endMonth = req.query.endMonth || startMonth;
+
+    const from = new Date(`${startMonth}-01T00:00:00.000Z`);
+    const to = new Date(`${endMonth}-01T00:00:00.000Z`);
+    to.setUTCMonth(to.getUTCMonth() + 1);
+
+    const months = (to.getUTCFullYear() - from.getUTCFullYear()) * 12 + to.getUTCMonth() - from.getUTCMonth();
+    if (months < 1) {
+      return res.status(400).json({ message: 'End month must not be before start month' });
+    }
+    if (months > MAX_CALENDAR_MONTHS) {
+      return res.status(400).json({ message: `Calendar range cannot exceed ${MAX_CALENDAR_MONTHS} months` });
+    }
+
+    const listing = await Listing.findById(req.params.id);
+
+    if (!listing || !listing.isActive) {
+      return res.status(404).json({ message: 'Listing not found' });
+    }
+
+    const days = await buildCalendar(listing, from, to);
+
+    res.json({ startMonth, endMonth, days });
+  } catch (error) {
+    console.error('Get calendar error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid listing ID' });
+    }
+    res.status(500).json({ message: 'Server error while fetching calendar' });
+  }
+});
+
+// @route   POST /api/listings/:id/calendar/block
+// @desc    Block a date range (inclusive) so it can't be booked
+// @access  Private (Host only - own listings)
+router.post('/:id/calendar/block', auth, requirePermission('listings:manage'), dateRangeValidators, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const listing = await Listing.findById(req.params.id);
+
+    if (!listing) {
+      return res.status(404).json({ message: 'Listing not found' });
+    }
+
+    // Check if user is the host of this listing
+    if (listing.host.toString() !== req.user.userId) {
+      return res.status(403).json({ message: 'Not authorized to update this listing' });
+    }
+
+    const from = startOfDay(req.body.startDate);
+    const to = addDays(startOfDay(req.body.endDate), 1);
+
+    // Booked nights can't be blocked
+    const overlappingBooking = await Booking.findOne({
+      listing: listing._id,
+      ...activeBookingCondition(),
+      ...overlapCondition(from, to)
+    });
+
+    if (overlappingBooking) {
+      return res.status(400).json({ message: 'Some of these dates are already booked' });
+    }
+
+    const updatedListing = await Listing.findByIdAndUpdate(
+      listing._id,
+      { $addToSet: { 'availability.blockedDates': { $each: eachNight(from, to) } } },
+      { new: true }
+    );
+
+    res.json({
+      message: 'Dates blocked successfully',
+      blockedDates: updatedListing.availability.blockedDates
+    });
+  } catch (error) {
+    console.error('Block dates error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid listing ID' });
+    }
+    res.status(500).json({ message: 'Server error while blocking dates' });
+  }
+});
+
+// @route   POST /api/listings/:id/calendar/unblock
+// @desc    Unblock a date range (inclusive)
+// @access  Private (Host only - own listings)
+router.post('/:id/calendar/unblock', auth, requirePermission('listings:manage'), dateRangeValidators, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const listing = await Listing.findById(req.params.id);
+
+    if (!listing) {
+      return res.status(404).json({ message: 'Listing not found' });
+    }
+
+    // Check if user is the host of this listing
+    if (listing.host.toString() !== req.user.userId) {
+      return res.status(403).json({ message: 'Not authorized to update this listing' });
+    }
+
+    const from = startOfDay(req.body.startDate);
+    const to = addDays(startOfDay(req.body.endDate), 1);
+
+    const updatedListing = await Listing.findByIdAndUpdate(
+      listing._id,
+      { $pull: { 'availability.blockedDates': { $gte: from, $lt: to } } },
+      { new: true }
+    );
+
+    res.json({
+      message: 'Dates unblocked successfully',
+      blockedDates: updatedListing.availability.blockedDates
+    });
+  } catch (error) {
+    console.error('Unblock dates error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid listing ID' });
+    }
+    res.status(500).json({ message: 'Server error while unblocking dates' });
+  }
+});
+
 // @route   POST /api/listings
 // @desc    Create new listing
 // @access  Private (Host)
-router.post('/', auth, upload.array('images', 10), [
+router.post('/', auth, requirePermission('listings:create'), upload.array('images', 10), [
   body('title')
     .notEmpty()
     .withMessage('Title is required')
@@ -199,8 +735,18 @@ router.post('/', auth, upload.array('images', 10), [
   body('roomType').isIn(['entire_place', 'private_room', 'shared_room']),
   body('maxGuests').isInt({ min: 1 }).withMessage('Max guests must be at least 1'),
   body('bedrooms').isInt({ min: 0 }).withMessage('Bedrooms cannot be negative'),
-  body('bathrooms').isNumeric().withMessage('Bathrooms must be a number')
+  body('bathrooms').isNumeric().withMessage('Bathrooms must be a number'),
+  body('bookingMode')
+    .optional()
+    .isIn(BOOKING_MODES)
+    .withMessage(`Booking mode must be one of: ${BOOKING_MODES.join(', ')}`),
+  currencyValidator,
+  body('cancellationPolicy.type')
+    .optional()
+    .isIn(CANCELLATION_POLICY_TYPES)
+    .withMessage(`Cancellation policy must be one of: ${CANCELLATION_POLICY_TYPES.join(', ')}`)
 ], async (req, res) => {
+  let images = [];
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -210,16 +756,10 @@ router.post('/', auth, upload.array('images', 10), [
       });
     }
 
-    // Process uploaded images
-    const images = req.files ? req.files.map(file => ({
-      url: `/uploads/listings/${file.filename}`,
-      caption: ''
-    })) : [];
-
+    const { captions, ...fields } = req.body;
     const listingData = {
-      ...req.body,
-      host: req.user.userId,
-      images
+      ...fields,
+      host: req.user.userId
     };
 
     // Parse amenities if it's a string
@@ -227,6 +767,30 @@ router.post('/', auth, upload.array('images', 10), [
       listingData.amenities = JSON.parse(listingData.amenities);
     }
 
+    // Parse cancellation policy if it's a string
+    if (typeof listingData.cancellationPolicy === 'string') {
+      listingData.cancellationPolicy = JSON.parse(listingData.cancellationPolicy);
+    }
+
+    // Parse pricing rules if they're a string
+    if (typeof listingData.pricing === 'string') {
+      listingData.pricing = JSON.parse(listingData.pricing);
+    }
+
+    // Parse stay rules if they're a string
+    if (typeof listingData.stayRules === 'string') {
+      listingData.stayRules = JSON.parse(listingData.stayRules);
+    }
+
+    const stayRulesError = listingData.stayRules && getStayRulesError(listingData.stayRules);
+    if (stayRulesError) {
+      return res.status(400).json({ message: stayRulesError });
+    }
+
+    // Process uploaded images
+    images = await processUploadedImages(req.files, captions);
+    listingData.images = images;
+
     const listing = new Listing(listingData);
     await listing.save();
 
@@ -239,6 +803,11 @@ router.post('/', auth, upload.array('images', 10), [
     });
   } catch (error) {
     console.error('Create listing error:', error);
+    // Don't leave files behind for a listing that wasn't created
+    await deleteImageFiles(images.flatMap(imageUrls));
+    if (error instanceof ImageValidationError) {
+      return res.status(400).json({ message: error.message });
+    }
     res.status(500).json({ message: 'Server error while creating listing' });
   }
 });
@@ -246,8 +815,19 @@ router.post('/', auth, upload.array('images', 10), [
 // @route   PUT /api/listings/:id
 // @desc    Update listing
 // @access  Private (Host only - own listings)
-router.put('/:id', auth, upload.array('newImages', 10), async (req, res) => {
+router.put('/:id', auth, requirePermission('listings:manage'), upload.array('newImages', 10), [
+  currencyValidator
+], async (req, res) => {
+  let newImages = [];
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
     const listing = await Listing.findById(req.params.id);
 
     if (!listing) {
@@ -259,25 +839,44 @@ router.put('/:id', auth, upload.array('newImages', 10), async (req, res) => {
       return res.status(403).json({ message: 'Not authorized to update this listing' });
     }
 
-    // Process new uploaded images
-    const newImages = req.files ? req.files.map(file => ({
-      url: `/uploads/listings/${file.filename}`,
-      caption: ''
-    })) : [];
-
-    // Combine existing images with new ones
-    const updatedImages = [...(listing.images || []), ...newImages];
-
-    const updateData = {
-      ...req.body,
-      images: updatedImages
-    };
+    const { captions, ...updateData } = req.body;
 
     // Parse amenities if it's a string
     if (typeof updateData.amenities === 'string') {
       updateData.amenities = JSON.parse(updateData.amenities);
     }
 
+    // Parse cancellation policy if it's a string
+    if (typeof updateData.cancellationPolicy === 'string') {
+      updateData.cancellationPolicy = JSON.parse(updateData.cancellationPolicy);
+    }
+
+    // Parse pricing rules if they're a string
+    if (typeof updateData.pricing === 'string') {
+      updateData.pricing = JSON.parse(updateData.pricing);
+    }
+
+    // Parse stay rules if they're a string
+    if (typeof updateData.stayRules === 'string') {
+      updateData.stayRules = JSON.parse(updateData.stayRules);
+    }
+
+    // Update validators can't compare fields with each other, so check here
+    const stayRulesError = updateData.stayRules && getStayRulesError(updateData.stayRules);
+    if (stayRulesError) {
+      return res.status(400).json({ message: stayRulesError });
+    }
+
+    const policyError = updateData.cancellationPolicy &&
+      getCancellationPolicyError(updateData.cancellationPolicy);
+    if (policyError) {
+      return res.status(400).json({ message: policyError });
+    }
+
+    // Process new uploaded images and add them after the existing ones
+    newImages = await processUploadedImages(req.files, captions);
+    updateData.images = [...(listing.images || []), ...newImages];
+
     const updatedListing = await Listing.findByIdAndUpdate(
       req.params.id,
       updateData,
@@ -290,6 +889,11 @@ router.put('/:id', auth, upload.array('newImages', 10), async (req, res) => {
     });
   } catch (error) {
     console.error('Update listing error:', error);
+    // Don't leave files behind for images that weren't added
+    await deleteImageFiles(newImages.flatMap(imageUrls));
+    if (error instanceof ImageValidationError) {
+      return res.status(400).json({ message: error.message });
+    }
     if (error.name === 'CastError') {
       return res.status(400).json({ message: 'Invalid listing ID' });
     }
@@ -300,7 +904,7 @@ router.put('/:id', auth, upload.array('newImages', 10), async (req, res) => {
 // @route   DELETE /api/listings/:id
 // @desc    Delete listing
 // @access  Private (Host only - own listings)
-router.delete('/:id', auth, async (req, res) => {
+router.delete('/:id', auth, requirePermission('listings:manage'), async (req, res) => {
   try {
     const listing = await Listing.findById(req.params.id);
 
@@ -315,6 +919,15 @@ router.delete('/:id', auth, async (req, res) => {
 
     await Listing.findByIdAndDelete(req.params.id);
 
+    // Remove the listing's image files from uploads/listings
+    await deleteImageFiles(listing.images.flatMap(imageUrls));
+
+    // Drop the listing from any wishlists it was saved to
+    await Wishlist.updateMany(
+      { 'listings.listing': listing._id },
+      { $pull: { listings: { listing: listing._id } } }
+    );
+
     res.json({ message: 'Listing deleted successfully' });
   } catch (error) {
     console.error('Delete listing error:', error);
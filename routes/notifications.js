@@ -0,0 +1,165 @@
+import express from 'express';
+import { query, validationResult } from 'express-validator';
+import Notification from '../models/Notification.js';
+import auth from '../middleware/auth.js';
+import { subscribe } from '../services/notifications.js';
+
+const router = express.Router();
+
+const HEARTBEAT_INTERVAL_MS = 25 * 1000;
+
+// EventSource cannot send headers, so the stream also accepts ?token=
+const tokenFromQuery = (req, res, next) => {
+  if (!req.header('Authorization') && req.query.token) {
+    req.headers.authorization = `Bearer ${req.query.token}`;
+  }
+  next();
+};
+
+const writeEvent = (res, event, data) => {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+// @route   GET /api/notifications
+// @desc    List the current user's notifications, newest first
+// @access  Private
+router.get('/', auth, [
+  query('unread').optional().isBoolean().withMessage('Unread must be true or false'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be at least 1'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { unread, page = 1, limit = 20 } = req.query;
+
+    const filter = { user: req.user.userId };
+    if (unread === 'true') {
+      filter.readAt = null;
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const notifications = await Notification.find(filter)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await Notification.countDocuments(filter);
+    const totalPages = Math.ceil(total / parseInt(limit));
+    const unreadCount = await Notification.countDocuments({ user: req.user.userId, readAt: null });
+
+    res.json({
+      notifications,
+      unreadCount,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages,
+        total,
+        hasNextPage: parseInt(page) < totalPages,
+        hasPreviousPage: parseInt(page) > 1
+      }
+    });
+  } catch (error) {
+    console.error('Get notifications error:', error);
+    res.status(500).json({ message: 'Server error while fetching notifications' });
+  }
+});
+
+// @route   GET /api/notifications/stream
+// @desc    Server-Sent Events stream of new notifications
+// @access  Private
+router.get('/stream', tokenFromQuery, auth, async (req, res) => {
+  // The client may have gone away while authentication ran
+  if (req.socket.destroyed) {
+    return;
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const unsubscribe = subscribe(req.user.userId, notification => {
+    writeEvent(res, 'notification', notification);
+  });
+
+  // Comment lines keep proxies from closing an idle connection
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_INTERVAL_MS);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+
+  try {
+    const unreadCount = await Notification.countDocuments({ user: req.user.userId, readAt: null });
+    writeEvent(res, 'ready', { unreadCount });
+  } catch (error) {
+    console.error('Notification stream error:', error);
+    // Ending the response makes EventSource reconnect after its retry delay
+    res.end();
+  }
+});
+
+// @route   PUT /api/notifications/read-all
+// @desc    Mark all notifications as read
+// @access  Private
+router.put('/read-all', auth, async (req, res) => {
+  try {
+    const result = await Notification.updateMany(
+      { user: req.user.userId, readAt: null },
+      { readAt: new Date() }
+    );
+
+    res.json({
+      message: 'Notifications marked as read',
+      markedRead: result.modifiedCount
+    });
+  } catch (error) {
+    console.error('Mark all notifications read error:', error);
+    res.status(500).json({ message: 'Server error while marking notifications as read' });
+  }
+});
+
+// @route   PUT /api/notifications/:id/read
+// @desc    Mark a notification as read
+// @access  Private
+router.put('/:id/read', auth, async (req, res) => {
+  try {
+    const notification = await Notification.findOne({
+      _id: req.params.id,
+      user: req.user.userId
+    });
+
+    if (!notification) {
+      return res.status(404).json({ message: 'Notification not found' });
+    }
+
+    if (!notification.readAt) {
+      notification.readAt = new Date();
+      await notification.save();
+    }
+
+    res.json({
+      message: 'Notification marked as read',
+      notification
+    });
+  } catch (error) {
+    console.error('Mark notification read error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid notification ID' });
+    }
+    res.status(500).json({ message: 'Server error while marking notification as read' });
+  }
+});
+
+export default router;
@@ -0,0 +1,64 @@
+import express from 'express';
+import Booking from '../models/Booking.js';
+import { getPaymentProvider, refundBookingPayment } from '../services/payments/index.js';
+
+const router = express.Router();
+
+// @route   POST /api/payments/webhook
+// @desc    Receive signed payment provider callbacks
+// @access  Public (signature verified)
+router.post('/webhook', async (req, res) => {
+  let event;
+  try {
+    event = getPaymentProvider().constructWebhookEvent(
+      req.body,
+      req.header('X-Payment-Signature')
+    );
+  } catch (error) {
+    console.error('Payment webhook signature error:', error.message);
+    return res.status(400).json({ message: 'Invalid webhook signature' });
+  }
+
+  try {
+    const paymentIntentId = event.data?.paymentIntentId;
+    const booking = paymentIntentId && await Booking.findOne({ paymentIntentId });
+
+    // Acknowledge events we can't match so the provider stops retrying
+    if (!booking) {
+      return res.json({ received: true });
+    }
+
+    // Update the payment status atomically; the hold and request sweepers
+    // may change the booking's status while this webhook is running
+    switch (event.type) {
+      case 'payment_intent.succeeded': {
+        const paid = await Booking.findOneAndUpdate(
+          { _id: booking._id, paymentStatus: { $in: ['pending', 'failed'] } },
+          { $set: { paymentStatus: 'paid' } },
+          { new: true }
+        );
+        // Money arrived for a booking that no longer exists; give it back
+        if (paid && ['declined', 'cancelled', 'expired'].includes(paid.status)) {
+          await refundBookingPayment(paid);
+          await paid.save();
+        }
+        break;
+      }
+      case 'payment_intent.payment_failed':
+        await Booking.updateOne(
+          { _id: booking._id, paymentStatus: 'pending' },
+          { $set: { paymentStatus: 'failed' } }
+        );
+        break;
+      default:
+        break;
+    }
+
+    res.json({ received: true });
+  } catch (error) {
+    console.error('Payment webhook error:', error);
+    res.status(500).json({ message: 'Server error while processing payment webhook' });
+  }
+});
+
+export default router;
@@ -0,0 +1,159 @@
+import express from 'express';
+import { body, validationResult } from 'express-validator';
+import Review, { REVIEW_CATEGORIES } from '../models/Review.js';
+import Listing from '../models/Listing.js';
+import auth from '../middleware/auth.js';
+import { updateRatingsFor } from '../services/reviews.js';
+
+const router = express.Router();
+
+// @route   PUT /api/reviews/:id
+// @desc    Edit a review
+// @access  Private (Author only)
+router.put('/:id', auth, [
+  body('rating')
+    .optional()
+    .isInt({ min: 1, max: 5 })
+    .withMessage('Rating must be between 1 and 5'),
+  ...REVIEW_CATEGORIES.map(category => body(`ratings.${category}`)
+    .optional()
+    .isInt({ min: 1, max: 5 })
+    .withMessage(`${category} rating must be between 1 and 5`)),
+  body('comment')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Review comment cannot exceed 1000 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const review = await Review.findById(req.params.id);
+    if (!review) {
+      return res.status(404).json({ message: 'Review not found' });
+    }
+
+    if (review.author.toString() !== req.user.userId) {
+      return res.status(403).json({ message: 'Not authorized to edit this review' });
+    }
+
+    const { rating, ratings, comment } = req.body;
+
+    if (rating !== undefined) {
+      review.rating = rating;
+    }
+    if (comment !== undefined) {
+      review.comment = comment;
+    }
+    // Sub-ratings only apply to listing reviews
+    if (ratings && review.type === 'listing') {
+      REVIEW_CATEGORIES.forEach(category => {
+        if (ratings[category] !== undefined) {
+          review.ratings[category] = ratings[category];
+        }
+      });
+    }
+
+    await review.save();
+    await updateRatingsFor(review);
+
+    res.json({
+      message: 'Review updated successfully',
+      review
+    });
+  } catch (error) {
+    console.error('Update review error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid review ID' });
+    }
+    res.status(500).json({ message: 'Server error while updating review' });
+  }
+});
+
+// @route   DELETE /api/reviews/:id
+// @desc    Delete a review
+// @access  Private (Author or admin)
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const review = await Review.findById(req.params.id);
+    if (!review) {
+      return res.status(404).json({ message: 'Review not found' });
+    }
+
+    if (review.author.toString() !== req.user.userId && req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'Not authorized to delete this review' });
+    }
+
+    await Review.findByIdAndDelete(review._id);
+    await updateRatingsFor(review);
+
+    res.json({ message: 'Review deleted successfully' });
+  } catch (error) {
+    console.error('Delete review error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid review ID' });
+    }
+    res.status(500).json({ message: 'Server error while deleting review' });
+  }
+});
+
+// @route   PUT /api/reviews/:id/response
+// @desc    Add or edit the host's public reply to a listing review
+// @access  Private (Host only - own listings)
+router.put('/:id/response', auth, [
+  body('comment')
+    .trim()
+    .notEmpty()
+    .withMessage('Response cannot be empty')
+    .isLength({ max: 1000 })
+    .withMessage('Response cannot exceed 1000 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const review = await Review.findById(req.params.id);
+    if (!review) {
+      return res.status(404).json({ message: 'Review not found' });
+    }
+
+    if (review.type !== 'listing') {
+      return res.status(400).json({ message: 'Only listing reviews can be replied to' });
+    }
+
+    const listing = await Listing.findById(review.listing).select('host');
+    if (!listing || listing.host.toString() !== req.user.userId) {
+      return res.status(403).json({ message: 'Only the host can reply to this review' });
+    }
+
+    review.response = {
+      comment: req.body.comment,
+      respondedAt: new Date()
+    };
+    await review.save();
+
+    res.json({
+      message: 'Response saved successfully',
+      review
+    });
+  } catch (error) {
+    console.error('Review response error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid review ID' });
+    }
+    res.status(500).json({ message: 'Server error while saving response' });
+  }
+});
+
+export default router;
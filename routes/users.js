@@ -1,5 +1,7 @@
 import express from 'express';
+import { query, validationResult } from 'express-validator';
 import User from '../models/User.js';
+import Review from '../models/Review.js';
 import auth from '../middleware/auth.js';
 
 const router = express.Router();
@@ -11,7 +13,7 @@ router.get('/profile/:id', async (req, res) => {
   try {
     const user = await User.findById(req.params.id)
       .select('-password -email')
-      .select('firstName lastName avatar bio joinedDate role');
+      .select('firstName lastName avatar bio joinedDate role guestRating');
 
     if (!user) {
       return res.status(404).json({ message: 'User not found' });
@@ -27,4 +29,60 @@ router.get('/profile/:id', async (req, res) => {
   }
 });
 
+// @route   GET /api/users/:id/reviews
+// @desc    Get hosts' reviews of a user as a guest
+// @access  Public
+router.get('/:id/reviews', [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be at least 1'),
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const user = await User.findById(req.params.id).select('guestRating');
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const { page = 1, limit = 10 } = req.query;
+    const filter = { subject: user._id, type: 'guest' };
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const reviews = await Review.find(filter)
+      .populate('author', 'firstName lastName avatar')
+      .populate('listing', 'title')
+      .select('-__v')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const totalReviews = await Review.countDocuments(filter);
+    const totalPages = Math.ceil(totalReviews / parseInt(limit));
+
+    res.json({
+      guestRating: user.guestRating,
+      reviews,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages,
+        totalReviews,
+        hasNextPage: parseInt(page) < totalPages,
+        hasPreviousPage: parseInt(page) > 1
+      }
+    });
+  } catch (error) {
+    console.error('Get user reviews error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid user ID' });
+    }
+    res.status(500).json({ message: 'Server error while fetching reviews' });
+  }
+});
+
 export default router;
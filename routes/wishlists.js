@@ -0,0 +1,393 @@
+import express from 'express';
+import { body, validationResult } from 'express-validator';
+import Wishlist from '../models/Wishlist.js';
+import Listing from '../models/Listing.js';
+import auth from '../middleware/auth.js';
+import { generateToken } from '../utils/tokens.js';
+
+const router = express.Router();
+
+const LISTING_FIELDS = 'title location images price rating propertyType isActive';
+
+const nameValidator = body('name')
+  .trim()
+  .notEmpty()
+  .withMessage('Wishlist name is required')
+  .isLength({ max: 50 })
+  .withMessage('Wishlist name cannot exceed 50 characters');
+
+const shareUrl = (wishlist) => {
+  const clientUrl = process.env.CLIENT_URL || 'http://localhost:5173';
+  return `${clientUrl}/wishlists/shared/${wishlist.shareToken}`;
+};
+
+// The owner sees the share link; the token itself stays internal
+const toOwnerJSON = (wishlist) => {
+  const { shareToken, ...data } = wishlist.toJSON();
+  return {
+    ...data,
+    shareUrl: shareToken ? shareUrl(wishlist) : null
+  };
+};
+
+// @route   GET /api/wishlists/shared/:token
+// @desc    View a shared wishlist
+// @access  Public
+router.get('/shared/:token', async (req, res) => {
+  try {
+    const wishlist = await Wishlist.findOne({ shareToken: req.params.token })
+      .populate('user', 'firstName avatar')
+      .populate('listings.listing', LISTING_FIELDS);
+
+    if (!wishlist) {
+      return res.status(404).json({ message: 'Wishlist not found' });
+    }
+
+    // Hide listings that were deleted or deactivated since they were saved
+    const listings = wishlist.listings
+      .filter(item => item.listing && item.listing.isActive)
+      .map(item => ({ listing: item.listing, addedAt: item.addedAt }));
+
+    res.json({
+      wishlist: {
+        _id: wishlist._id,
+        name: wishlist.name,
+        owner: wishlist.user,
+        listings
+      }
+    });
+  } catch (error) {
+    console.error('Get shared wishlist error:', error);
+    res.status(500).json({ message: 'Server error while fetching wishlist' });
+  }
+});
+
+// @route   GET /api/wishlists
+// @desc    Get the current user's wishlists
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const wishlists = await Wishlist.find({ user: req.user.userId })
+      .select('+shareToken')
+      .populate('listings.listing', LISTING_FIELDS)
+      .sort({ updatedAt: -1 });
+
+    res.json({ wishlists: wishlists.map(toOwnerJSON) });
+  } catch (error) {
+    console.error('Get wishlists error:', error);
+    res.status(500).json({ message: 'Server error while fetching wishlists' });
+  }
+});
+
+// @route   POST /api/wishlists
+// @desc    Create a wishlist, optionally with a first listing
+// @access  Private
+router.post('/', auth, [
+  nameValidator,
+  body('listing')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid listing ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { name, listing: listingId } = req.body;
+
+    const existing = await Wishlist.findOne({ user: req.user.userId, name });
+    if (existing) {
+      return res.status(400).json({ message: 'You already have a wishlist with this name' });
+    }
+
+    const wishlist = new Wishlist({ user: req.user.userId, name });
+
+    if (listingId) {
+      const listing = await Listing.findById(listingId).select('isActive');
+      if (!listing || !listing.isActive) {
+        return res.status(404).json({ message: 'Listing not found' });
+      }
+      wishlist.listings.push({ listing: listing._id });
+    }
+
+    await wishlist.save();
+
+    res.status(201).json({
+      message: 'Wishlist created successfully',
+      wishlist: toOwnerJSON(wishlist)
+    });
+  } catch (error) {
+    console.error('Create wishlist error:', error);
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'You already have a wishlist with this name' });
+    }
+    res.status(500).json({ message: 'Server error while creating wishlist' });
+  }
+});
+
+// @route   GET /api/wishlists/:id
+// @desc    Get one of the current user's wishlists
+// @access  Private (Owner only)
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const wishlist = await Wishlist.findById(req.params.id).select('+shareToken');
+
+    if (!wishlist) {
+      return res.status(404).json({ message: 'Wishlist not found' });
+    }
+
+    // Check if user owns this wishlist
+    if (wishlist.user.toString() !== req.user.userId) {
+      return res.status(403).json({ message: 'Not authorized to access this wishlist' });
+    }
+
+    await wishlist.populate('listings.listing', LISTING_FIELDS);
+
+    res.json({ wishlist: toOwnerJSON(wishlist) });
+  } catch (error) {
+    console.error('Get wishlist error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid wishlist ID' });
+    }
+    res.status(500).json({ message: 'Server error while fetching wishlist' });
+  }
+});
+
+// @route   PUT /api/wishlists/:id
+// @desc    Rename a wishlist
+// @access  Private (Owner only)
+router.put('/:id', auth, [nameValidator], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const wishlist = await Wishlist.findById(req.params.id).select('+shareToken');
+
+    if (!wishlist) {
+      return res.status(404).json({ message: 'Wishlist not found' });
+    }
+
+    // Check if user owns this wishlist
+    if (wishlist.user.toString() !== req.user.userId) {
+      return res.status(403).json({ message: 'Not authorized to access this wishlist' });
+    }
+
+    const duplicate = await Wishlist.findOne({
+      user: req.user.userId,
+      name: req.body.name,
+      _id: { $ne: wishlist._id }
+    });
+    if (duplicate) {
+      return res.status(400).json({ message: 'You already have a wishlist with this name' });
+    }
+
+    wishlist.name = req.body.name;
+    await wishlist.save();
+
+    res.json({
+      message: 'Wishlist updated successfully',
+      wishlist: toOwnerJSON(wishlist)
+    });
+  } catch (error) {
+    console.error('Update wishlist error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid wishlist ID' });
+    }
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'You already have a wishlist with this name' });
+    }
+    res.status(500).json({ message: 'Server error while updating wishlist' });
+  }
+});
+
+// @route   DELETE /api/wishlists/:id
+// @desc    Delete a wishlist
+// @access  Private (Owner only)
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const wishlist = await Wishlist.findById(req.params.id);
+
+    if (!wishlist) {
+      return res.status(404).json({ message: 'Wishlist not found' });
+    }
+
+    // Check if user owns this wishlist
+    if (wishlist.user.toString() !== req.user.userId) {
+      return res.status(403).json({ message: 'Not authorized to access this wishlist' });
+    }
+
+    await Wishlist.findByIdAndDelete(wishlist._id);
+
+    res.json({ message: 'Wishlist deleted successfully' });
+  } catch (error) {
+    console.error('Delete wishlist error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid wishlist ID' });
+    }
+    res.status(500).json({ message: 'Server error while deleting wishlist' });
+  }
+});
+
+// @route   POST /api/wishlists/:id/listings
+// @desc    Save a listing to a wishlist
+// @access  Private (Owner only)
+router.post('/:id/listings', auth, [
+  body('listing')
+    .notEmpty()
+    .withMessage('Listing ID is required')
+    .isMongoId()
+    .withMessage('Invalid listing ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const wishlist = await Wishlist.findById(req.params.id).select('+shareToken');
+
+    if (!wishlist) {
+      return res.status(404).json({ message: 'Wishlist not found' });
+    }
+
+    // Check if user owns this wishlist
+    if (wishlist.user.toString() !== req.user.userId) {
+      return res.status(403).json({ message: 'Not authorized to access this wishlist' });
+    }
+
+    const listing = await Listing.findById(req.body.listing).select('isActive');
+    if (!listing || !listing.isActive) {
+      return res.status(404).json({ message: 'Listing not found' });
+    }
+
+    // Saving twice is a no-op
+    if (!wishlist.hasListing(listing._id)) {
+      wishlist.listings.push({ listing: listing._id });
+      await wishlist.save();
+    }
+
+    res.json({
+      message: 'Listing saved to wishlist',
+      wishlist: toOwnerJSON(wishlist)
+    });
+  } catch (error) {
+    console.error('Add wishlist listing error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid wishlist ID' });
+    }
+    res.status(500).json({ message: 'Server error while saving listing' });
+  }
+});
+
+// @route   DELETE /api/wishlists/:id/listings/:listingId
+// @desc    Remove a listing from a wishlist
+// @access  Private (Owner only)
+router.delete('/:id/listings/:listingId', auth, async (req, res) => {
+  try {
+    const wishlist = await Wishlist.findById(req.params.id).select('+shareToken');
+
+    if (!wishlist) {
+      return res.status(404).json({ message: 'Wishlist not found' });
+    }
+
+    // Check if user owns this wishlist
+    if (wishlist.user.toString() !== req.user.userId) {
+      return res.status(403).json({ message: 'Not authorized to access this wishlist' });
+    }
+
+    if (!wishlist.hasListing(req.params.listingId)) {
+      return res.status(404).json({ message: 'Listing is not in this wishlist' });
+    }
+
+    wishlist.listings = wishlist.listings
+      .filter(item => item.listing.toString() !== req.params.listingId);
+    await wishlist.save();
+
+    res.json({
+      message: 'Listing removed from wishlist',
+      wishlist: toOwnerJSON(wishlist)
+    });
+  } catch (error) {
+    console.error('Remove wishlist listing error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid wishlist ID' });
+    }
+    res.status(500).json({ message: 'Server error while removing listing' });
+  }
+});
+
+// @route   POST /api/wishlists/:id/share
+// @desc    Create a share link (replacing any previous one)
+// @access  Private (Owner only)
+router.post('/:id/share', auth, async (req, res) => {
+  try {
+    const wishlist = await Wishlist.findById(req.params.id).select('+shareToken');
+
+    if (!wishlist) {
+      return res.status(404).json({ message: 'Wishlist not found' });
+    }
+
+    // Check if user owns this wishlist
+    if (wishlist.user.toString() !== req.user.userId) {
+      return res.status(403).json({ message: 'Not authorized to access this wishlist' });
+    }
+
+    wishlist.shareToken = generateToken(16);
+    await wishlist.save();
+
+    res.json({
+      message: 'Share link created',
+      shareUrl: shareUrl(wishlist)
+    });
+  } catch (error) {
+    console.error('Share wishlist error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid wishlist ID' });
+    }
+    res.status(500).json({ message: 'Server error while sharing wishlist' });
+  }
+});
+
+// @route   DELETE /api/wishlists/:id/share
+// @desc    Stop sharing a wishlist; the old link stops working
+// @access  Private (Owner only)
+router.delete('/:id/share', auth, async (req, res) => {
+  try {
+    const wishlist = await Wishlist.findById(req.params.id).select('+shareToken');
+
+    if (!wishlist) {
+      return res.status(404).json({ message: 'Wishlist not found' });
+    }
+
+    // Check if user owns this wishlist
+    if (wishlist.user.toString() !== req.user.userId) {
+      return res.status(403).json({ message: 'Not authorized to access this wishlist' });
+    }
+
+    wishlist.shareToken = undefined;
+    await wishlist.save();
+
+    res.json({ message: 'Wishlist is no longer shared' });
+  } catch (error) {
+    console.error('Unshare wishlist error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid wishlist ID' });
+    }
+    res.status(500).json({ message: 'Server error while unsharing wishlist' });
+  }
+});
+
+export default router;
@@ -0,0 +1,170 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+
+// Configure dotenv
+dotenv.config();
+
+// Import models
+import User from '../models/User.js';
+import Listing from '../models/Listing.js';
+import Booking from '../models/Booking.js';
+import ReservedNight from '../models/ReservedNight.js';
+import { BookingConflictError, createBooking } from '../services/bookings.js';
+import { addDays, eachNight, startOfDay, toDateKey } from '../utils/dates.js';
+
+const CONCURRENT_REQUESTS = 20;
+
+const connectDB = async () => {
+  try {
+    const mongoURI = process.env.MONGODB_URI || 'mongodb://localhost:27017/stayfinder';
+    await mongoose.connect(mongoURI);
+    console.log('MongoDB connected for concurrency check');
+  } catch (error) {
+    console.error('MongoDB connection error:', error);
+    process.exit(1);
+  }
+};
+
+// Fire booking requests at the same time and sort the outcomes
+const race = async (listing, guest, stays) => {
+  const results = await Promise.allSettled(stays.map(({ checkIn, checkOut }) =>
+    createBooking(listing, { guest: guest._id, checkIn, checkOut, guests: { adults: 1 } })
+  ));
+
+  const unexpected = results.filter(result =>
+    result.status === 'rejected' && !(result.reason instanceof BookingConflictError));
+  if (unexpected.length > 0) {
+    throw unexpected[0].reason;
+  }
+
+  return {
+    booked: results.filter(result => result.status === 'fulfilled').map(result => result.value.booking),
+    conflicts: results.filter(result => result.status === 'rejected').length
+  };
+};
+
+// No night may belong to more than one booking
+const findDoubleBookedNights = (bookings) => {
+  const seen = new Set();
+  const doubleBooked = [];
+  bookings.forEach(booking => {
+    eachNight(booking.checkIn, booking.checkOut).forEach(night => {
+      const key = toDateKey(night);
+      if (seen.has(key)) {
+        doubleBooked.push(key);
+      }
+      seen.add(key);
+    });
+  });
+  return doubleBooked;
+};
+
+// Create a throwaway listing, race many bookings against it and check that
+// no night is ever booked twice. Everything created is removed afterwards.
+const checkBookingConcurrency = async () => {
+  const suffix = Date.now();
+  const failures = [];
+  let host;
+  let guest;
+  let listing;
+
+  try {
+    // The unique (listing, night) index must exist before racing
+    await ReservedNight.init();
+
+    host = await User.create({
+      firstName: 'Concurrency',
+      lastName: 'Host',
+      email: `concurrency-host-${suffix}@example.com`,
+      password: 'password123',
+      role: 'host'
+    });
+    guest = await User.create({
+      firstName: 'Concurrency',
+      lastName: 'Guest',
+      email: `concurrency-guest-${suffix}@example.com`,
+      password: 'password123'
+    });
+    listing = await Listing.create({
+      title: 'Concurrency check listing',
+      description: 'Temporary listing created by scripts/checkBookingConcurrency.js',
+      price: 100,
+      location: {
+        address: '1 Test Street',
+        city: 'Testville',
+        state: 'TS',
+        country: 'Testland',
+        zipCode: '00000'
+      },
+      propertyType: 'apartment',
+      roomType: 'entire_place',
+      maxGuests: 2,
+      bedrooms: 1,
+      bathrooms: 1,
+      host: host._id,
+      isActive: false
+    });
+
+    const start = addDays(startOfDay(new Date()), 30);
+
+    // 1. Identical requests: exactly one may win
+    const identical = Array.from({ length: CONCURRENT_REQUESTS }, () => ({
+      checkIn: start,
+      checkOut: addDays(start, 3)
+    }));
+    const first = await race(listing, guest, identical);
+    console.log(`Identical stays: ${first.booked.length} booked, ${first.conflicts} conflicts`);
+    if (first.booked.length !== 1 || first.conflicts !== CONCURRENT_REQUESTS - 1) {
+      failures.push('Expected exactly one of the identical requests to succeed');
+    }
+
+    // 2. Overlapping stays starting a day apart
+    const overlapStart = addDays(start, 10);
+    const overlapping = Array.from({ length: CONCURRENT_REQUESTS }, (_, index) => ({
+      checkIn: addDays(overlapStart, index),
+      checkOut: addDays(overlapStart, index + 3)
+    }));
+    const second = await race(listing, guest, overlapping);
+    console.log(`Overlapping stays: ${second.booked.length} booked, ${second.conflicts} conflicts`);
+
+    const bookings = [...first.booked, ...second.booked];
+    const doubleBooked = findDoubleBookedNights(bookings);
+    if (doubleBooked.length > 0) {
+      failures.push(`Nights booked more than once: ${doubleBooked.join(', ')}`);
+    }
+
+    // Losing requests must not leave reserved nights behind
+    const expectedNights = bookings.reduce(
+      (count, booking) => count + eachNight(booking.checkIn, booking.checkOut).length, 0);
+    const reservedNights = await ReservedNight.countDocuments({ listing: listing._id });
+    if (reservedNights !== expectedNights) {
+      failures.push(`Expected ${expectedNights} reserved nights, found ${reservedNights}`);
+    }
+  } catch (error) {
+    failures.push(`Unexpected error: ${error.message}`);
+  } finally {
+    if (listing) {
+      await Booking.deleteMany({ listing: listing._id });
+      await ReservedNight.deleteMany({ listing: listing._id });
+      await Listing.deleteOne({ _id: listing._id });
+    }
+    await User.deleteMany({ _id: { $in: [host?._id, guest?._id].filter(Boolean) } });
+    await mongoose.connection.close();
+  }
+
+  if (failures.length > 0) {
+    failures.forEach(failure => console.error(`❌ ${failure}`));
+    process.exitCode = 1;
+  } else {
+    console.log('✅ No night was booked twice');
+  }
+};
+
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  connectDB().then(() => {
+    checkBookingConcurrency();
+  });
+}
+
+export { checkBookingConcurrency };
@@ -0,0 +1,41 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+
+// Configure dotenv
+dotenv.config();
+
+import { cleanupOrphanedImages, findOrphanedImages } from '../services/listingImages.js';
+
+const connectDB = async () => {
+  try {
+    const mongoURI = process.env.MONGODB_URI || 'mongodb://localhost:27017/stayfinder';
+    await mongoose.connect(mongoURI);
+    console.log('MongoDB connected for image cleanup');
+  } catch (error) {
+    console.error('MongoDB connection error:', error);
+    process.exit(1);
+  }
+};
+
+// Remove uploaded listing images that no listing refers to. Pass --dry-run
+// to only list them.
+const cleanupImages = async (dryRun) => {
+  try {
+    const files = dryRun ? await findOrphanedImages() : await cleanupOrphanedImages();
+    files.forEach(file => console.log(`${dryRun ? 'Orphaned' : 'Deleted'}: ${file}`));
+    console.log(`${files.length} orphaned image(s) ${dryRun ? 'found' : 'deleted'}`);
+  } catch (error) {
+    console.error('Error cleaning up images:', error);
+  } finally {
+    mongoose.connection.close();
+  }
+};
+
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  connectDB().then(() => {
+    cleanupImages(process.argv.includes('--dry-run'));
+  });
+}
+
+export { cleanupImages };
@@ -0,0 +1,58 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+
+// Configure dotenv
+dotenv.config();
+
+// Import models
+import Listing from '../models/Listing.js';
+
+const connectDB = async () => {
+  try {
+    const mongoURI = process.env.MONGODB_URI || 'mongodb://localhost:27017/stayfinder';
+    await mongoose.connect(mongoURI);
+    console.log('MongoDB connected for migration');
+  } catch (error) {
+    console.error('MongoDB connection error:', error);
+    process.exit(1);
+  }
+};
+
+// Copy location.coordinates into the GeoJSON location.geo field for listings
+// created before it existed, then build the 2dsphere index
+const migrateGeoPoints = async () => {
+  try {
+    const result = await Listing.updateMany(
+      {
+        'location.coordinates.latitude': { $type: 'number' },
+        'location.coordinates.longitude': { $type: 'number' },
+        'location.geo': { $exists: false }
+      },
+      [{
+        $set: {
+          'location.geo': {
+            type: 'Point',
+            coordinates: ['$location.coordinates.longitude', '$location.coordinates.latitude']
+          }
+        }
+      }]
+    );
+    console.log(`Added GeoJSON points to ${result.modifiedCount} listings`);
+
+    await Listing.syncIndexes();
+    console.log('Listing indexes synced');
+  } catch (error) {
+    console.error('Error migrating geo points:', error);
+  } finally {
+    mongoose.connection.close();
+  }
+};
+
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  connectDB().then(() => {
+    migrateGeoPoints();
+  });
+}
+
+export { migrateGeoPoints };
@@ -0,0 +1,65 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+
+// Configure dotenv
+dotenv.config();
+
+// Import models
+import Booking from '../models/Booking.js';
+import ReservedNight from '../models/ReservedNight.js';
+import { BookingConflictError, reserveNights } from '../services/bookings.js';
+import { activeBookingCondition } from '../utils/availability.js';
+import { toDateKey } from '../utils/dates.js';
+
+const connectDB = async () => {
+  try {
+    const mongoURI = process.env.MONGODB_URI || 'mongodb://localhost:27017/stayfinder';
+    await mongoose.connect(mongoURI);
+    console.log('MongoDB connected for migration');
+  } catch (error) {
+    console.error('MongoDB connection error:', error);
+    process.exit(1);
+  }
+};
+
+// Reserve the nights of active bookings created before nights were
+// reserved. Bookings that already overlap another are reported so they can
+// be resolved by hand.
+const migrateReservedNights = async () => {
+  try {
+    await ReservedNight.syncIndexes();
+
+    const reservedBookingIds = await ReservedNight.distinct('booking');
+    const bookings = await Booking.find({
+      ...activeBookingCondition(),
+      _id: { $nin: reservedBookingIds }
+    }).sort({ createdAt: 1 });
+
+    let reserved = 0;
+    for (const booking of bookings) {
+      try {
+        await reserveNights(booking);
+        reserved += 1;
+      } catch (error) {
+        if (!(error instanceof BookingConflictError)) {
+          throw error;
+        }
+        console.log(`⚠️  Booking ${booking._id} overlaps another booking on ${error.nights.map(toDateKey).join(', ')}`);
+      }
+    }
+    console.log(`Reserved nights for ${reserved} of ${bookings.length} bookings`);
+  } catch (error) {
+    console.error('Error migrating reserved nights:', error);
+  } finally {
+    mongoose.connection.close();
+  }
+};
+
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  connectDB().then(() => {
+    migrateReservedNights();
+  });
+}
+
+export { migrateReservedNights };
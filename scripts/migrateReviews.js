@@ -0,0 +1,87 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+
+// Configure dotenv
+dotenv.config();
+
+// Import models
+import Booking from '../models/Booking.js';
+import Listing from '../models/Listing.js';
+import Review from '../models/Review.js';
+import { updateListingRating } from '../services/reviews.js';
+
+const connectDB = async () => {
+  try {
+    const mongoURI = process.env.MONGODB_URI || 'mongodb://localhost:27017/stayfinder';
+    await mongoose.connect(mongoURI);
+    console.log('MongoDB connected for migration');
+  } catch (error) {
+    console.error('MongoDB connection error:', error);
+    process.exit(1);
+  }
+};
+
+// Move reviews embedded in bookings into the Review collection, then
+// recompute the rating of every listing that received one
+const migrateReviews = async () => {
+  try {
+    // The embedded review is no longer in the Booking schema, so read it raw
+    const bookings = await Booking.collection
+      .find({ 'review.rating': { $exists: true } })
+      .project({ listing: 1, guest: 1, review: 1 })
+      .toArray();
+
+    const listingIds = new Set();
+    let created = 0;
+
+    for (const booking of bookings) {
+      const listing = await Listing.findById(booking.listing).select('host');
+      if (!listing) {
+        console.log(`Skipping booking ${booking._id}: listing no longer exists`);
+        continue;
+      }
+
+      const existing = await Review.exists({ booking: booking._id, type: 'listing' });
+      if (!existing) {
+        await Review.create({
+          booking: booking._id,
+          listing: listing._id,
+          type: 'listing',
+          author: booking.guest,
+          subject: listing.host,
+          rating: booking.review.rating,
+          comment: booking.review.comment || '',
+          createdAt: booking.review.reviewDate
+        });
+        created += 1;
+      }
+
+      listingIds.add(listing._id.toString());
+    }
+    console.log(`Created ${created} reviews from ${bookings.length} booking reviews`);
+
+    for (const listingId of listingIds) {
+      await updateListingRating(listingId);
+    }
+    console.log(`Recomputed ratings for ${listingIds.size} listings`);
+
+    const result = await Booking.collection.updateMany(
+      { review: { $exists: true } },
+      { $unset: { review: '' } }
+    );
+    console.log(`Removed embedded reviews from ${result.modifiedCount} bookings`);
+  } catch (error) {
+    console.error('Error migrating reviews:', error);
+  } finally {
+    mongoose.connection.close();
+  }
+};
+
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  connectDB().then(() => {
+    migrateReviews();
+  });
+}
+
+export { migrateReviews };
@@ -0,0 +1,39 @@
+import dotenv from 'dotenv';
+import mockProvider from '../services/payments/mockProvider.js';
+
+// Configure dotenv
+dotenv.config();
+
+// Deliver a signed mock payment webhook to the local API, e.g.
+//   npm run payment:webhook -- <paymentIntentId> [succeeded|failed]
+const sendWebhook = async (paymentIntentId, outcome = 'succeeded') => {
+  const type = outcome === 'failed' ? 'payment_intent.payment_failed' : 'payment_intent.succeeded';
+  const payload = JSON.stringify({ type, data: { paymentIntentId } });
+  const url = `http://localhost:${process.env.PORT || 5000}/api/payments/webhook`;
+
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'X-Payment-Signature': mockProvider.signPayload(payload)
+    },
+    body: payload
+  });
+
+  console.log(`${response.status} ${await response.text()}`);
+};
+
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const [paymentIntentId, outcome] = process.argv.slice(2);
+  if (!paymentIntentId) {
+    console.error('Usage: node scripts/mockPaymentWebhook.js <paymentIntentId> [succeeded|failed]');
+    process.exit(1);
+  }
+  sendWebhook(paymentIntentId, outcome).catch((error) => {
+    console.error('Error sending webhook:', error);
+    process.exit(1);
+  });
+}
+
+export { sendWebhook };
@@ -0,0 +1,266 @@
+import Booking from '../models/Booking.js';
+import ReservedNight from '../models/ReservedNight.js';
+import { computeRefund } from '../utils/cancellationPolicy.js';
+import { convertAmount, getBaseCurrency, getConversionRate } from '../utils/currency.js';
+import { addDays, eachNight, startOfDay } from '../utils/dates.js';
+import { plural } from '../utils/stayRules.js';
+import { calculatePrice } from '../utils/pricing.js';
+import { createBookingPayment, refundBookingPayment } from './payments/index.js';
+import { getExchangeRates } from './exchangeRates.js';
+import { notifyBookingCancelled } from './notifications.js';
+
+const DEFAULT_HOLD_MINUTES = 30;
+const DEFAULT_RESPONSE_HOURS = 24;
+
+// How long an unpaid booking holds its dates
+export const getHoldDurationMs = () =>
+  (parseInt(process.env.BOOKING_HOLD_MINUTES) || DEFAULT_HOLD_MINUTES) * 60 * 1000;
+
+// How long a host has to accept a booking request
+export const getResponseWindowMs = () =>
+  (parseInt(process.env.BOOKING_REQUEST_RESPONSE_HOURS) || DEFAULT_RESPONSE_HOURS) * 60 * 60 * 1000;
+
+// Raised when some of the requested nights are already reserved
+export class BookingConflictError extends Error {
+  constructor(nights) {
+    super('These dates are not available. Please choose different dates.');
+    this.name = 'BookingConflictError';
+    this.status = 409;
+    this.nights = nights;
+  }
+}
+
+// Raised when the stay's own nights are free but its preparation nights
+// after check-out are already reserved
+export class PreparationConflictError extends BookingConflictError {
+  constructor(preparationDays) {
+    super([]);
+    this.message = `This property needs ${plural(preparationDays, 'preparation day')} between stays`;
+    this.name = 'PreparationConflictError';
+    this.preparationDays = preparationDays;
+  }
+}
+
+// Reserve every night of a booking and the preparation nights after it.
+// Throws BookingConflictError (listing only the stay's taken nights) or
+// PreparationConflictError, reserving nothing, if another booking already
+// holds any of the nights.
+export const reserveNights = async (booking, preparationDays = 0) => {
+  const stayNights = eachNight(booking.checkIn, booking.checkOut);
+  const preparationNights = eachNight(booking.checkOut, addDays(startOfDay(booking.checkOut), preparationDays));
+
+  try {
+    await ReservedNight.insertMany(
+      [
+        ...stayNights.map(night => ({ listing: booking.listing, night, booking: booking._id })),
+        ...preparationNights.map(night => ({ listing: booking.listing, night, booking: booking._id, preparation: true }))
+      ],
+      { ordered: true }
+    );
+  } catch (error) {
+    // Undo the nights inserted before the one that failed
+    await releaseNights(booking);
+
+    if (error.code === 11000) {
+      const taken = await ReservedNight.find({
+        listing: booking.listing,
+        night: { $in: stayNights }
+      }).select('night');
+      if (taken.length === 0 && preparationNights.length > 0) {
+        throw new PreparationConflictError(preparationDays);
+      }
+      throw new BookingConflictError(taken.map(reserved => reserved.night));
+    }
+    throw error;
+  }
+};
+
+// Free a booking's nights once it no longer occupies the listing
+export const releaseNights = async (booking) => {
+  await ReservedNight.deleteMany({ booking: booking._id });
+};
+
+// Create and save a booking with its payment intent: confirmed for instant
+// book listings, otherwise a pending request for the host. `listing` must be
+// a full Listing document; dates and guests must already be validated. The
+// guest is charged in `currency` (default: the listing's currency) at the
+// current exchange rate; throws CurrencyError if there is no rate for it.
+// Returns { booking, paymentIntent }.
+export const createBooking = async (listing, { guest, checkIn, checkOut, guests, specialRequests, currency }) => {
+  // Calculate total amount from the listing's pricing rules
+  const { total: totalAmount, ...priceBreakdown } = calculatePrice(listing, checkIn, checkOut, guests);
+
+  const listingCurrency = listing.currency || getBaseCurrency();
+  const chargeCurrency = currency || listingCurrency;
+  const exchangeRate = chargeCurrency === listingCurrency
+    ? 1
+    : getConversionRate(await getExchangeRates(), listingCurrency, chargeCurrency);
+
+  const now = new Date();
+  const booking = new Booking({
+    listing: listing._id,
+    guest,
+    checkIn,
+    checkOut,
+    guests,
+    totalAmount,
+    priceBreakdown,
+    currency: listingCurrency,
+    charge: {
+      currency: chargeCurrency,
+      amount: convertAmount(totalAmount, exchangeRate, chargeCurrency),
+      exchangeRate
+    },
+    specialRequests,
+    holdExpiresAt: new Date(now.getTime() + getHoldDurationMs())
+  });
+
+  if (listing.bookingMode === 'instant') {
+    booking.status = 'confirmed';
+    booking.confirmedAt = now;
+  } else {
+    // The host must answer before the deadline, and at the latest by check-in
+    booking.responseDeadline = new Date(Math.min(
+      now.getTime() + getResponseWindowMs(),
+      new Date(checkIn).getTime()
+    ));
+  }
+
+  try {
+    await reserveNights(booking, listing.stayRules?.preparationDays);
+  } catch (error) {
+    if (!(error instanceof BookingConflictError)) {
+      throw error;
+    }
+    // Lapsed holds and overdue requests still own their nights until the
+    // next sweep; clear them on this listing and try once more
+    const expired = await expireUnpaidHolds({ listing: listing._id });
+    const declined = await declineOverdueRequests({ listing: listing._id });
+    if (expired + declined === 0) {
+      throw error;
+    }
+    await reserveNights(booking, listing.stayRules?.preparationDays);
+  }
+
+  try {
+    // Create the payment intent before saving so a booking never exists without one
+    const paymentIntent = await createBookingPayment(booking);
+    await booking.save();
+    return { booking, paymentIntent };
+  } catch (error) {
+    await refundBookingPayment(booking)
+      .catch(paymentError => console.error('Payment cancellation error:', paymentError));
+    await releaseNights(booking);
+    throw error;
+  }
+};
+
+// Decline a pending booking request with a full refund. Saves the booking
+// and releases its nights.
+export const declineBooking = async (booking, reason) => {
+  booking.status = 'declined';
+  booking.declineReason = reason || 'No reason provided';
+  await refundBookingPayment(booking);
+  await booking.save();
+  await releaseNights(booking);
+};
+
+// Cancel a booking, refunding the guest according to the listing's
+// cancellation policy. `booking.listing` must be populated with title, host
+// and cancellationPolicy; if the listing was deleted (populated as null) the
+// default policy applies. Saves the booking, releases its nights, notifies
+// the other party and returns the computed refund.
+export const cancelBooking = async (booking, { cancelledBy, reason }) => {
+  const refund = computeRefund(booking, booking.listing?.cancellationPolicy, { cancelledBy });
+
+  booking.status = 'cancelled';
+  booking.cancellationReason = reason || 'No reason provided';
+  booking.cancellation = {
+    cancelledBy,
+    policy: refund.policy,
+    refundPercent: refund.refundPercent,
+    refundAmount: refund.refundAmount,
+    cancelledAt: new Date()
+  };
+  await refundBookingPayment(booking, refund.refundAmount);
+  // A null listing would fail the required check, so only validate changes
+  await booking.save({ validateModifiedOnly: !booking.listing });
+  await releaseNights(booking);
+  await notifyBookingCancelled(booking);
+
+  return refund;
+};
+
+// Expire unpaid bookings whose hold has lapsed, voiding their payment
+// intents and releasing their nights. Pending bookings from before holds
+// existed lapse one hold duration after they were created. Pass `listing` to
+// limit the sweep to one listing. Returns the number of bookings expired.
+export const expireUnpaidHolds = async ({ listing, now = new Date() } = {}) => {
+  const unpaid = {
+    status: { $in: ['pending', 'confirmed'] },
+    paymentStatus: { $ne: 'paid' }
+  };
+
+  const lapsed = await Booking.find({
+    ...unpaid,
+    ...(listing && { listing }),
+    $or: [
+      { holdExpiresAt: { $lte: now } },
+      { status: 'pending', holdExpiresAt: null, createdAt: { $lte: new Date(now.getTime() - getHoldDurationMs()) } }
+    ]
+  }).select('_id');
+
+  let expired = 0;
+  for (const { _id } of lapsed) {
+    // Claim the booking atomically so a payment landing meanwhile isn't lost
+    const booking = await Booking.findOneAndUpdate(
+      { _id, ...unpaid },
+      { $set: { status: 'expired', expiredAt: now } },
+      { new: true }
+    );
+    if (!booking) {
+      continue;
+    }
+
+    await refundBookingPayment(booking);
+    await releaseNights(booking);
+    expired += 1;
+  }
+
+  return expired;
+};
+
+// Decline booking requests the host didn't accept before their response
+// deadline, refunding any payment and releasing their nights. Pass `listing`
+// to limit the sweep to one listing. Returns the number of requests declined.
+export const declineOverdueRequests = async ({ listing, now = new Date() } = {}) => {
+  const overdue = {
+    status: 'pending',
+    responseDeadline: { $lte: now }
+  };
+
+  const requests = await Booking.find({
+    ...overdue,
+    ...(listing && { listing })
+  }).select('_id');
+
+  let declined = 0;
+  for (const { _id } of requests) {
+    // Claim the request atomically so it is not declined after the host accepted it
+    const booking = await Booking.findOneAndUpdate(
+      { _id, ...overdue },
+      { $set: { status: 'declined', declineReason: 'The host did not respond in time' } },
+      { new: true }
+    );
+    if (!booking) {
+      continue;
+    }
+
+    await refundBookingPayment(booking);
+    await booking.save();
+    await releaseNights(booking);
+    declined += 1;
+  }
+
+  return declined;
+};
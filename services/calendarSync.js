@@ -0,0 +1,251 @@
+import crypto from 'crypto';
+import dns from 'dns';
+import http from 'http';
+import https from 'https';
+import net from 'net';
+import Booking from '../models/Booking.js';
+import Listing from '../models/Listing.js';
+import { activeBookingCondition } from '../utils/availability.js';
+import { addDays, eachNight, startOfDay, toDateKey } from '../utils/dates.js';
+import { buildICS, parseICS } from '../utils/ical.js';
+
+const FETCH_TIMEOUT_MS = 10 * 1000;
+const MAX_CALENDAR_BYTES = 1024 * 1024; // 1MB
+const MAX_REDIRECTS = 5;
+// Imported events only block days up to this far ahead
+const IMPORT_HORIZON_DAYS = 2 * 365;
+
+// Addresses a calendar URL may not point at: loopback, private networks,
+// link-local (including cloud metadata endpoints), multicast and reserved
+const blockedAddresses = new net.BlockList();
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4]
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128],
+  ['::1', 128],
+  ['64:ff9b::', 96],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8]
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv6'));
+
+const isBlockedAddress = (address) => {
+  // Check IPv4-mapped IPv6 addresses (::ffff:a.b.c.d) as IPv4
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) {
+    return blockedAddresses.check(mapped[1], 'ipv4');
+  }
+  return blockedAddresses.check(address, net.isIP(address) === 6 ? 'ipv6' : 'ipv4');
+};
+
+// DNS lookup for outgoing calendar requests that refuses internal addresses.
+// Checking at connect time also covers hostnames that re-resolve elsewhere.
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) {
+      return callback(error);
+    }
+    if (addresses.some(({ address }) => isBlockedAddress(address))) {
+      return callback(new Error('Calendar URL must point to a public address'));
+    }
+    if (options.all) {
+      return callback(null, addresses);
+    }
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+export const generateExportToken = () => crypto.randomBytes(24).toString('hex');
+
+// Group sorted days into consecutive [start, end) ranges
+const toRanges = (days) => {
+  const ranges = [];
+  for (const day of days) {
+    const last = ranges[ranges.length - 1];
+    if (last && last.end.getTime() === day.getTime()) {
+      last.end = addDays(day, 1);
+    } else {
+      ranges.push({ start: day, end: addDays(day, 1) });
+    }
+  }
+  return ranges;
+};
+
+// Build the .ics feed for a listing: one event per active booking and one
+// per run of consecutive blocked dates, from today onwards
+export const buildListingFeed = async (listing) => {
+  const today = startOfDay(new Date());
+
+  const bookings = await Booking.find({
+    listing: listing._id,
+    ...activeBookingCondition(),
+    checkOut: { $gt: today }
+  }).select('checkIn checkOut');
+
+  const events = bookings.map(booking => ({
+    uid: `booking-${booking._id}@stayfinder`,
+    summary: 'Reserved',
+    start: startOfDay(booking.checkIn),
+    end: startOfDay(booking.checkOut)
+  }));
+
+  const blockedDays = [...new Set((listing.availability?.blockedDates || [])
+    .map(date => startOfDay(date).getTime())
+    .filter(time => time >= today.getTime()))]
+    .sort((a, b) => a - b)
+    .map(time => new Date(time));
+
+  for (const range of toRanges(blockedDays)) {
+    events.push({
+      uid: `blocked-${listing._id}-${toDateKey(range.start)}@stayfinder`,
+      summary: 'Not available',
+      start: range.start,
+      end: range.end
+    });
+  }
+
+  return buildICS({ name: listing.title, events });
+};
+
+// Download an external calendar, rejecting non-HTTP URLs, internal
+// addresses (also as redirect targets) and bodies over MAX_CALENDAR_BYTES
+export const fetchCalendar = (url, redirectsLeft = MAX_REDIRECTS) => new Promise((resolve, reject) => {
+  const { protocol, hostname } = new URL(url);
+  if (protocol !== 'http:' && protocol !== 'https:') {
+    throw new Error('Calendar URL must use http or https');
+  }
+
+  // Literal IPs are connected to directly, without a lookup
+  const host = hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(host) && isBlockedAddress(host)) {
+    throw new Error('Calendar URL must point to a public address');
+  }
+
+  const client = protocol === 'https:' ? https : http;
+  const request = client.get(url, {
+    lookup: publicLookup,
+    signal: AbortSignal.timeout(FETCH_TIMEOUT_MS)
+  }, response => {
+    const { statusCode, headers } = response;
+
+    if (statusCode >= 300 && statusCode < 400 && headers.location) {
+      response.resume();
+      if (redirectsLeft <= 0) {
+        return reject(new Error('Calendar URL redirected too many times'));
+      }
+      // Each hop goes through the same checks
+      return fetchCalendar(new URL(headers.location, url).toString(), redirectsLeft - 1)
+        .then(resolve, reject);
+    }
+
+    if (statusCode < 200 || statusCode >= 300) {
+      response.resume();
+      return reject(new Error(`Calendar URL responded with status ${statusCode}`));
+    }
+
+    if (parseInt(headers['content-length']) > MAX_CALENDAR_BYTES) {
+      response.destroy();
+      return reject(new Error('Calendar is too large'));
+    }
+
+    // Content-Length may be missing or wrong, so count while reading too
+    const chunks = [];
+    let bytes = 0;
+    response.on('data', chunk => {
+      bytes += chunk.length;
+      if (bytes > MAX_CALENDAR_BYTES) {
+        response.destroy();
+        return reject(new Error('Calendar is too large'));
+      }
+      chunks.push(chunk);
+    });
+    response.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    response.on('error', reject);
+  });
+
+  request.on('error', reject);
+});
+
+// Dates imported by a source that no other source also imported, i.e. the
+// ones that can be unblocked when the source changes or goes away
+const datesOnlyInSource = (listing, source) => {
+  const otherDates = new Set(listing.calendarSync.importSources
+    .filter(other => !other._id.equals(source._id))
+    .flatMap(other => other.importedDates.map(date => date.getTime())));
+  return source.importedDates.filter(date => !otherDates.has(date.getTime()));
+};
+
+// Replace the dates a source previously imported with the days covered by
+// the events in `icsText`. Only days from today up to IMPORT_HORIZON_DAYS
+// ahead are kept. Returns the updated listing.
+export const importCalendar = async (listing, sourceId, icsText) => {
+  const source = listing.calendarSync.importSources.id(sourceId);
+  const today = startOfDay(new Date());
+  const horizon = addDays(today, IMPORT_HORIZON_DAYS);
+
+  const days = new Map();
+  for (const event of parseICS(icsText)) {
+    const start = startOfDay(event.start);
+    if (start >= horizon) {
+      continue;
+    }
+
+    // Clamp before expanding so long events can't produce huge night lists;
+    // timed events that start and end on the same day still block that day
+    const nights = eachNight(
+      start < today ? today : start,
+      startOfDay(event.end) > horizon ? horizon : event.end
+    );
+    for (const day of nights.length ? nights : [start]) {
+      if (day >= today) {
+        days.set(day.getTime(), day);
+      }
+    }
+  }
+  const importedDates = [...days.values()];
+
+  // Pull the old dates first; a single update can't $pull and $addToSet the same path
+  await Listing.updateOne(
+    { _id: listing._id },
+    { $pull: { 'availability.blockedDates': { $in: datesOnlyInSource(listing, source) } } }
+  );
+
+  return Listing.findOneAndUpdate(
+    { _id: listing._id, 'calendarSync.importSources._id': source._id },
+    {
+      $addToSet: { 'availability.blockedDates': { $each: importedDates } },
+      $set: {
+        'calendarSync.importSources.$.importedDates': importedDates,
+        'calendarSync.importSources.$.lastSyncedAt': new Date()
+      }
+    },
+    { new: true }
+  );
+};
+
+// Remove a source along with the dates it imported
+export const removeImportSource = async (listing, sourceId) => {
+  const source = listing.calendarSync.importSources.id(sourceId);
+
+  return Listing.findByIdAndUpdate(
+    listing._id,
+    {
+      $pull: {
+        'availability.blockedDates': { $in: datesOnlyInSource(listing, source) },
+        'calendarSync.importSources': { _id: source._id }
+      }
+    },
+    { new: true }
+  );
+};
@@ -0,0 +1,12 @@
+import ExchangeRate from '../models/ExchangeRate.js';
+import { getBaseCurrency } from '../utils/currency.js';
+
+// Current rates as a Map of currency code to units per 1 base currency unit,
+// including the base currency itself
+export const getExchangeRates = async () => {
+  const rates = await ExchangeRate.find().select('currency rate');
+
+  const map = new Map(rates.map(({ currency, rate }) => [currency, rate]));
+  map.set(getBaseCurrency(), 1);
+  return map;
+};
@@ -0,0 +1,103 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import sharp from 'sharp';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const LISTING_UPLOADS_DIR = path.join(__dirname, '../uploads/listings');
+
+// Formats accepted from uploads, detected from the file content rather than
+// the client-supplied mimetype
+const ACCEPTED_FORMATS = ['jpeg', 'png', 'webp', 'avif', 'heif', 'gif', 'tiff'];
+
+// Generated sizes (max width in px) and output formats
+export const IMAGE_SIZES = {
+  thumbnail: 320,
+  card: 640,
+  full: 1600
+};
+export const IMAGE_FORMATS = ['avif', 'webp'];
+
+// Every field of a listing image that holds a file URL
+export const IMAGE_URL_PATHS = [
+  'url',
+  ...Object.keys(IMAGE_SIZES).flatMap(size => IMAGE_FORMATS.map(format => `variants.${size}.${format}`))
+];
+
+const FORMAT_OPTIONS = {
+  avif: { quality: 50 },
+  webp: { quality: 80 }
+};
+
+// Error for uploads that aren't usable images
+export class ImageValidationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ImageValidationError';
+  }
+}
+
+const inspectImage = async (buffer, originalName) => {
+  try {
+    const metadata = await sharp(buffer).metadata();
+    if (ACCEPTED_FORMATS.includes(metadata.format)) {
+      return metadata;
+    }
+  } catch {
+    // Not decodable as an image; fall through to the error below
+  }
+  throw new ImageValidationError(`${originalName} is not a supported image file`);
+};
+
+// Turn one uploaded image into every size/format variant. Orientation is
+// applied and all metadata (EXIF, GPS, ...) is dropped, since sharp only
+// keeps it when asked to. Returns { url, variants } for the listing's images.
+export const processListingImage = async (buffer, originalName = 'Image') => {
+  await inspectImage(buffer, originalName);
+
+  const baseName = `listing-${Date.now()}-${crypto.randomBytes(6).toString('hex')}`;
+  const variants = {};
+  const written = [];
+
+  try {
+    for (const [size, maxWidth] of Object.entries(IMAGE_SIZES)) {
+      variants[size] = {};
+      for (const format of IMAGE_FORMATS) {
+        const fileName = `${baseName}-${size}.${format}`;
+        const info = await sharp(buffer)
+          .rotate()
+          .resize({ width: maxWidth, withoutEnlargement: true })
+          .toFormat(format, FORMAT_OPTIONS[format])
+          .toFile(path.join(LISTING_UPLOADS_DIR, fileName));
+
+        written.push(fileName);
+        variants[size][format] = `/uploads/listings/${fileName}`;
+        variants[size].width = info.width;
+        variants[size].height = info.height;
+      }
+    }
+  } catch (error) {
+    await Promise.all(written.map(fileName =>
+      fs.unlink(path.join(LISTING_UPLOADS_DIR, fileName)).catch(() => {})
+    ));
+    throw error;
+  }
+
+  return {
+    // Default URL for clients that don't pick a variant
+    url: variants.full.webp,
+    variants
+  };
+};
+
+// Process multer memory-storage files one at a time (image encoding is CPU heavy)
+export const processListingUploads = async (files = []) => {
+  const images = [];
+  for (const file of files) {
+    images.push(await processListingImage(file.buffer, file.originalname));
+  }
+  return images;
+};
@@ -0,0 +1,92 @@
+import fs from 'fs/promises';
+import path from 'path';
+import Listing from '../models/Listing.js';
+import { IMAGE_URL_PATHS, LISTING_UPLOADS_DIR } from './imageProcessing.js';
+
+const LISTING_UPLOADS_URL = '/uploads/listings/';
+
+// Files created by the upload handler; anything else (e.g. seed images) is
+// never treated as an orphan
+const UPLOADED_FILE_PATTERN = /^listing-/;
+
+// Resolve an image URL to its file, refusing anything outside uploads/listings
+const fileForUrl = (url) => {
+  if (typeof url !== 'string' || !url.startsWith(LISTING_UPLOADS_URL)) {
+    return null;
+  }
+  return path.join(LISTING_UPLOADS_DIR, path.basename(url));
+};
+
+// All file URLs of a listing image: the default URL plus every variant
+export const imageUrls = (image) => {
+  const plain = typeof image.toObject === 'function' ? image.toObject() : image;
+  return [...new Set(IMAGE_URL_PATHS
+    .map(urlPath => urlPath.split('.').reduce((value, key) => value?.[key], plain))
+    .filter(Boolean))];
+};
+
+// Listings whose images use any of the given URLs
+const findListingsUsing = (urls, extraFilter = {}) => Listing.find({
+  ...extraFilter,
+  $or: IMAGE_URL_PATHS.map(urlPath => ({ [`images.${urlPath}`]: { $in: urls } }))
+}).select('images');
+
+const removeFile = async (file) => {
+  try {
+    await fs.unlink(file);
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error(`Failed to delete image file ${file}:`, error);
+    }
+  }
+};
+
+// Delete the files behind image URLs, skipping any still used by another listing
+export const deleteImageFiles = async (urls, { excludeListingId } = {}) => {
+  if (urls.length === 0) {
+    return;
+  }
+
+  const stillUsed = new Set(
+    (await findListingsUsing(urls, excludeListingId ? { _id: { $ne: excludeListingId } } : {}))
+      .flatMap(listing => listing.images.flatMap(imageUrls))
+  );
+
+  await Promise.all(urls
+    .filter(url => !stillUsed.has(url))
+    .map(fileForUrl)
+    .filter(Boolean)
+    .map(removeFile));
+};
+
+// Find uploaded files no listing refers to. Files newer than minAgeMs are
+// skipped so uploads still being processed aren't caught.
+export const findOrphanedImages = async ({ minAgeMs = 60 * 60 * 1000 } = {}) => {
+  const entries = await fs.readdir(LISTING_UPLOADS_DIR);
+  const candidates = entries.filter(name => UPLOADED_FILE_PATTERN.test(name));
+
+  const referenced = new Set(
+    (await findListingsUsing(candidates.map(name => LISTING_UPLOADS_URL + name)))
+      .flatMap(listing => listing.images.flatMap(imageUrls).map(url => path.basename(url)))
+  );
+
+  const orphans = [];
+  for (const name of candidates) {
+    if (referenced.has(name)) {
+      continue;
+    }
+    const file = path.join(LISTING_UPLOADS_DIR, name);
+    const stats = await fs.stat(file);
+    if (Date.now() - stats.mtimeMs >= minAgeMs) {
+      orphans.push(file);
+    }
+  }
+  return orphans;
+};
+
+// Delete orphaned uploads; returns the removed file paths
+export const cleanupOrphanedImages = async (options) => {
+  const orphans = await findOrphanedImages(options);
+  await Promise.all(orphans.map(removeFile));
+  return orphans;
+};
@@ -0,0 +1,169 @@
+import LoginThrottle from '../models/LoginThrottle.js';
+
+const MINUTE_MS = 60 * 1000;
+
+// Failures are counted within a rolling window; hitting the limit locks the
+// account or IP. Repeat lockouts double in length up to MAX_LOCKOUT_MS.
+const LIMITS = {
+  account: { maxFailures: 5, windowMs: 15 * MINUTE_MS, lockoutMs: 15 * MINUTE_MS },
+  ip: { maxFailures: 20, windowMs: 15 * MINUTE_MS, lockoutMs: 15 * MINUTE_MS }
+};
+const MAX_LOCKOUT_MS = 24 * 60 * MINUTE_MS;
+
+// After a few failures each further attempt on an account must wait
+// 1s, 2s, 4s... (capped) since the previous failure
+const DELAY_AFTER_FAILURES = 3;
+const MAX_DELAY_MS = 30 * 1000;
+
+// Keep records around long enough to remember escalating lockouts
+const RECORD_TTL_MS = 2 * MAX_LOCKOUT_MS;
+
+const progressiveDelayMs = (failures) => {
+  if (failures < DELAY_AFTER_FAILURES) {
+    return 0;
+  }
+  return Math.min(MAX_DELAY_MS, 1000 * 2 ** (failures - DELAY_AFTER_FAILURES));
+};
+
+const secondsUntil = (date, now) => Math.max(1, Math.ceil((date - now) / 1000));
+
+const findRecords = ({ email, ip }) => LoginThrottle.find({
+  $or: [
+    { type: 'account', identifier: email },
+    { type: 'ip', identifier: ip }
+  ]
+});
+
+// Check whether a login attempt may proceed. Returns null if so, otherwise
+// { code, message, retryAfter } describing why not.
+export const checkLoginAllowed = async ({ email, ip }, now = new Date()) => {
+  const records = await findRecords({ email, ip });
+  const account = records.find(record => record.type === 'account');
+  const address = records.find(record => record.type === 'ip');
+
+  if (address?.lockedUntil > now) {
+    return {
+      code: 'IP_LOCKED',
+      message: 'Too many failed login attempts from this network. Please try again later.',
+      retryAfter: secondsUntil(address.lockedUntil, now)
+    };
+  }
+
+  if (account?.lockedUntil > now) {
+    return {
+      code: 'ACCOUNT_LOCKED',
+      message: 'This account is temporarily locked after too many failed login attempts.',
+      retryAfter: secondsUntil(account.lockedUntil, now)
+    };
+  }
+
+  if (account?.lastFailureAt) {
+    const nextAttemptAt = new Date(account.lastFailureAt.getTime() + progressiveDelayMs(account.failures));
+    if (nextAttemptAt > now) {
+      return {
+        code: 'LOGIN_DELAYED',
+        message: 'Too many failed login attempts. Please wait before trying again.',
+        retryAfter: secondsUntil(nextAttemptAt, now)
+      };
+    }
+  }
+
+  return null;
+};
+
+// Count one failure in a single atomic update, so concurrent attempts can't
+// overwrite each other's counts and the first failure creates the record
+const recordFailure = async (type, identifier, now) => {
+  const limits = LIMITS[type];
+  const lockouts = { $ifNull: ['$lockouts', 0] };
+
+  const update = [
+    // Start a new counting window once the old one has passed
+    {
+      $set: {
+        windowExpired: {
+          $or: [
+            { $eq: [{ $ifNull: ['$windowStartedAt', null] }, null] },
+            { $gt: [{ $subtract: [now, '$windowStartedAt'] }, limits.windowMs] }
+          ]
+        }
+      }
+    },
+    {
+      $set: {
+        windowStartedAt: { $cond: ['$windowExpired', now, '$windowStartedAt'] },
+        failures: { $add: [{ $cond: ['$windowExpired', 0, { $ifNull: ['$failures', 0] }] }, 1] },
+        lastFailureAt: now,
+        lockouts,
+        expiresAt: new Date(now.getTime() + RECORD_TTL_MS)
+      }
+    },
+    // Hitting the limit locks, with each lockout twice as long as the last
+    {
+      $set: {
+        lockedUntil: {
+          $cond: [
+            { $gte: ['$failures', limits.maxFailures] },
+            {
+              $add: [now, {
+                $min: [MAX_LOCKOUT_MS, { $multiply: [limits.lockoutMs, { $pow: [2, '$lockouts'] }] }]
+              }]
+            },
+            '$lockedUntil'
+          ]
+        },
+        lockouts: { $cond: [{ $gte: ['$failures', limits.maxFailures] }, { $add: ['$lockouts', 1] }, '$lockouts'] },
+        failures: { $cond: [{ $gte: ['$failures', limits.maxFailures] }, 0, '$failures'] },
+        windowStartedAt: { $cond: [{ $gte: ['$failures', limits.maxFailures] }, '$$REMOVE', '$windowStartedAt'] }
+      }
+    },
+    { $unset: 'windowExpired' }
+  ];
+
+  const upsert = () => LoginThrottle.findOneAndUpdate(
+    { type, identifier },
+    update,
+    { upsert: true, new: true }
+  );
+
+  try {
+    return await upsert();
+  } catch (error) {
+    // Two first failures raced to insert the record; the retry updates it
+    if (error.code === 11000) {
+      return upsert();
+    }
+    throw error;
+  }
+};
+
+// Count a failed attempt against both the account and the IP address
+export const recordLoginFailure = async ({ email, ip }, now = new Date()) => {
+  await Promise.all([
+    recordFailure('account', email, now),
+    recordFailure('ip', ip, now)
+  ]);
+};
+
+// A successful login clears the account's failures. The IP record is kept so
+// logging into one account can't reset an attack on others.
+export const recordLoginSuccess = async ({ email }) => {
+  await LoginThrottle.deleteOne({ type: 'account', identifier: email });
+};
+
+// Current lockout state of an account, for admins
+export const getAccountLockout = async (email, now = new Date()) => {
+  const record = await LoginThrottle.findOne({ type: 'account', identifier: email });
+  return {
+    isLocked: Boolean(record?.lockedUntil > now),
+    lockedUntil: record?.lockedUntil > now ? record.lockedUntil : null,
+    recentFailures: record?.failures || 0,
+    lastFailureAt: record?.lastFailureAt || null,
+    lockouts: record?.lockouts || 0
+  };
+};
+
+export const unlockAccount = async (email) => {
+  const result = await LoginThrottle.deleteOne({ type: 'account', identifier: email });
+  return result.deletedCount > 0;
+};
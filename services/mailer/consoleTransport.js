@@ -0,0 +1,17 @@
+// Prints outgoing mail to the server log; the default for local development
+const send = async (message) => {
+  console.log([
+    '📧 Outgoing email',
+    `To: ${message.to}`,
+    `Subject: ${message.subject}`,
+    '',
+    message.text
+  ].join('\n'));
+
+  return { id: `console-${Date.now()}` };
+};
+
+export default {
+  name: 'console',
+  send
+};
@@ -0,0 +1,25 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+// Writes each outgoing message to a JSON file in MAIL_OUTPUT_DIR so local
+// tools and manual testing can pick up verification and reset links
+const getOutputDir = () => {
+  return process.env.MAIL_OUTPUT_DIR || path.join(os.tmpdir(), 'stayfinder-mail');
+};
+
+const send = async (message) => {
+  const dir = getOutputDir();
+  await fs.mkdir(dir, { recursive: true });
+
+  const id = `${Date.now()}-${Math.round(Math.random() * 1E9)}`;
+  const file = path.join(dir, `${id}.json`);
+  await fs.writeFile(file, JSON.stringify({ ...message, date: new Date().toISOString() }, null, 2));
+
+  return { id, file };
+};
+
+export default {
+  name: 'file',
+  send
+};
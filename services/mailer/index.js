@@ -0,0 +1,25 @@
+import consoleTransport from './consoleTransport.js';
+import fileTransport from './fileTransport.js';
+
+// Registered mail transports, selected with MAIL_TRANSPORT
+const transports = {
+  [consoleTransport.name]: consoleTransport,
+  [fileTransport.name]: fileTransport
+};
+
+export const getMailTransport = () => {
+  const name = process.env.MAIL_TRANSPORT || 'console';
+  const transport = transports[name];
+  if (!transport) {
+    throw new Error(`Unknown mail transport: ${name}`);
+  }
+  return transport;
+};
+
+// Send a message ({ to, subject, text, html }) through the configured transport
+export const sendMail = async (message) => {
+  return getMailTransport().send({
+    from: process.env.MAIL_FROM || 'StayFinder <no-reply@stayfinder.local>',
+    ...message
+  });
+};
@@ -0,0 +1,27 @@
+const clientUrl = () => process.env.CLIENT_URL || 'http://localhost:5173';
+
+const escapeHtml = (text = '') => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+export const verifyEmail = (user, token) => {
+  const url = `${clientUrl()}/verify-email?token=${token}`;
+  return {
+    to: user.email,
+    subject: 'Verify your StayFinder email address',
+    text: `Hi ${user.firstName},\n\nPlease confirm your email address by opening this link:\n${url}\n\nThe link expires in 24 hours.`,
+    html: `<p>Hi ${escapeHtml(user.firstName)},</p><p>Please confirm your email address:</p><p><a href="${url}">Verify email</a></p><p>The link expires in 24 hours.</p>`
+  };
+};
+
+export const resetPassword = (user, token) => {
+  const url = `${clientUrl()}/reset-password?token=${token}`;
+  return {
+    to: user.email,
+    subject: 'Reset your StayFinder password',
+    text: `Hi ${user.firstName},\n\nSomeone asked to reset your password. If it was you, open this link:\n${url}\n\nThe link expires in 1 hour. If you didn't ask for this, you can ignore this email.`,
+    html: `<p>Hi ${escapeHtml(user.firstName)},</p><p>Someone asked to reset your password. If it was you:</p><p><a href="${url}">Reset password</a></p><p>The link expires in 1 hour. If you didn't ask for this, you can ignore this email.</p>`
+  };
+};
@@ -0,0 +1,82 @@
+import { EventEmitter } from 'events';
+import Notification from '../models/Notification.js';
+
+// Live subscribers are held in memory, so the event stream only reaches
+// clients connected to this process. Stored notifications are always
+// available through the REST endpoints.
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+// Listen for new notifications for a user; returns an unsubscribe function
+export const subscribe = (userId, listener) => {
+  const event = userId.toString();
+  emitter.on(event, listener);
+  return () => emitter.off(event, listener);
+};
+
+// Store a notification ({ user, type, title, message, booking, listing })
+// and push it to the user's open streams. Failures are logged rather than
+// thrown so a notification never breaks the action that triggered it.
+export const notify = async (notification) => {
+  try {
+    const saved = await Notification.create(notification);
+    emitter.emit(saved.user.toString(), saved);
+    return saved;
+  } catch (error) {
+    console.error('Notification error:', error);
+    return null;
+  }
+};
+
+const formatDate = (date) => new Date(date).toISOString().slice(0, 10);
+
+const stayDates = (booking) => `${formatDate(booking.checkIn)} to ${formatDate(booking.checkOut)}`;
+
+// `listing` must include host and title
+export const notifyBookingCreated = (booking, listing) => notify({
+  user: listing.host,
+  type: 'booking_created',
+  title: booking.status === 'confirmed' ? 'New booking' : 'New booking request',
+  message: booking.status === 'confirmed'
+    ? `${listing.title} was booked for ${stayDates(booking)}.`
+    : `A guest requested ${listing.title} for ${stayDates(booking)}. Please respond by ${booking.responseDeadline.toISOString()}.`,
+  booking: booking._id,
+  listing: listing._id
+});
+
+// Tell whoever did not cancel; admin cancellations notify both sides.
+// `booking.listing` must be populated with host and title.
+export const notifyBookingCancelled = (booking) => {
+  const { listing, cancellation } = booking;
+  const cancelledBy = cancellation?.cancelledBy;
+  const recipients = [];
+
+  if (cancelledBy !== 'guest') {
+    recipients.push(booking.guest);
+  }
+  // There is no host to tell once the listing has been deleted
+  if (cancelledBy !== 'host' && listing) {
+    recipients.push(listing.host._id || listing.host);
+  }
+
+  return Promise.all(recipients.map(user => notify({
+    user,
+    type: 'booking_cancelled',
+    title: 'Booking cancelled',
+    message: `The booking for ${listing?.title || 'a removed listing'} on ${stayDates(booking)} was cancelled by the ${cancelledBy}.`,
+    booking: booking._id,
+    listing: listing?._id
+  })));
+};
+
+// Tell the reviewed user; `listing` must include title
+export const notifyBookingReviewed = (review, listing) => notify({
+  user: review.subject,
+  type: 'booking_reviewed',
+  title: 'New review',
+  message: review.type === 'listing'
+    ? `A guest left a ${review.rating}-star review of ${listing.title}.`
+    : `Your host left you a ${review.rating}-star review for your stay at ${listing.title}.`,
+  booking: review.booking,
+  listing: listing._id
+});
@@ -0,0 +1,83 @@
+import mockProvider from './mockProvider.js';
+import { convertAmount, getBaseCurrency } from '../../utils/currency.js';
+
+// Registered payment providers, selected with PAYMENT_PROVIDER
+const providers = {
+  [mockProvider.name]: mockProvider
+};
+
+export const getPaymentProvider = () => {
+  const name = process.env.PAYMENT_PROVIDER || 'mock';
+  const provider = providers[name];
+  if (!provider) {
+    throw new Error(`Unknown payment provider: ${name}`);
+  }
+  return provider;
+};
+
+// Amount and currency the guest pays for a booking. Bookings made before
+// currencies existed were charged their total in the base currency.
+const getCharge = (booking) => {
+  if (booking.charge?.currency) {
+    return booking.charge;
+  }
+  return {
+    currency: booking.currency || getBaseCurrency(),
+    amount: booking.totalAmount,
+    exchangeRate: 1
+  };
+};
+
+// Create a payment intent for a booking's charge and attach its ID to the
+// booking. The booking is not saved here.
+export const createBookingPayment = async (booking) => {
+  const charge = getCharge(booking);
+  const intent = await getPaymentProvider().createPaymentIntent({
+    amount: charge.amount,
+    currency: charge.currency.toLowerCase(),
+    metadata: { bookingId: booking._id.toString() }
+  });
+
+  booking.paymentIntentId = intent.id;
+  booking.paymentStatus = 'pending';
+  return intent;
+};
+
+// Refund (or void, if still unpaid) a booking's payment. `amount` is in the
+// booking's own currency and is refunded in the charged currency at the rate
+// used when booking. The booking is not saved here. Returns the refund
+// record, or null when nothing was refunded.
+export const refundBookingPayment = async (booking, amount = booking.totalAmount) => {
+  if (!booking.paymentIntentId) {
+    return null;
+  }
+
+  const provider = getPaymentProvider();
+
+  if (booking.paymentStatus !== 'paid') {
+    await provider.cancelPaymentIntent(booking.paymentIntentId);
+    return null;
+  }
+
+  if (amount <= 0) {
+    return null;
+  }
+
+  const charge = getCharge(booking);
+  const refund = await provider.createRefund({
+    paymentIntentId: booking.paymentIntentId,
+    amount: amount < booking.totalAmount
+      ? convertAmount(amount, charge.exchangeRate, charge.currency)
+      : charge.amount
+  });
+
+  booking.paymentStatus = amount < booking.totalAmount ? 'partially_refunded' : 'refunded';
+  booking.refund = {
+    id: refund.id,
+    amount: refund.amount,
+    status: refund.status,
+    currency: charge.currency,
+    refundedAt: new Date()
+  };
+  return refund;
+};
@@ -0,0 +1,104 @@
+import crypto from 'crypto';
+
+// Offline payment provider for local development. Payment intents live in
+// memory and only change state when a signed webhook is delivered to
+// POST /api/payments/webhook (see scripts/mockPaymentWebhook.js).
+
+const SIGNATURE_TOLERANCE_SECONDS = 5 * 60;
+
+const intents = new Map();
+const refunds = new Map();
+
+const generateId = (prefix) => `${prefix}_mock_${crypto.randomBytes(12).toString('hex')}`;
+
+// Anyone can sign with the built-in secret, so it is only a fallback in
+// development; elsewhere webhooks are refused until a secret is configured
+const DEVELOPMENT_WEBHOOK_SECRET = 'mock_webhook_secret';
+
+const getWebhookSecret = () => {
+  if (process.env.PAYMENT_WEBHOOK_SECRET) {
+    return process.env.PAYMENT_WEBHOOK_SECRET;
+  }
+  if (process.env.NODE_ENV === 'development') {
+    return DEVELOPMENT_WEBHOOK_SECRET;
+  }
+  throw new Error('PAYMENT_WEBHOOK_SECRET is not set');
+};
+
+const computeSignature = (timestamp, payload) => {
+  return crypto
+    .createHmac('sha256', getWebhookSecret())
+    .update(`${timestamp}.${payload}`)
+    .digest('hex');
+};
+
+// Build a signature header value for the given raw payload
+const signPayload = (payload, timestamp = Math.floor(Date.now() / 1000)) => {
+  return `t=${timestamp},v1=${computeSignature(timestamp, payload)}`;
+};
+
+const createPaymentIntent = async ({ amount, currency, metadata = {} }) => {
+  const intent = {
+    id: generateId('pi'),
+    clientSecret: generateId('secret'),
+    amount,
+    currency,
+    metadata,
+    status: 'requires_payment'
+  };
+  intents.set(intent.id, intent);
+  return { ...intent };
+};
+
+const cancelPaymentIntent = async (paymentIntentId) => {
+  const intent = intents.get(paymentIntentId);
+  if (intent) {
+    intent.status = 'cancelled';
+  }
+  return { id: paymentIntentId, status: 'cancelled' };
+};
+
+const createRefund = async ({ paymentIntentId, amount }) => {
+  const refund = {
+    id: generateId('re'),
+    paymentIntentId,
+    amount,
+    status: 'succeeded'
+  };
+  refunds.set(refund.id, refund);
+  return { ...refund };
+};
+
+// Verify the signature header and parse the raw webhook body into an event
+const constructWebhookEvent = (rawBody, signatureHeader) => {
+  const payload = Buffer.isBuffer(rawBody) ? rawBody.toString('utf8') : String(rawBody);
+  const parts = Object.fromEntries(
+    (signatureHeader || '').split(',').map(part => part.trim().split('='))
+  );
+  const timestamp = parseInt(parts.t);
+
+  if (!timestamp || !parts.v1) {
+    throw new Error('Missing webhook signature');
+  }
+
+  if (Math.abs(Date.now() / 1000 - timestamp) > SIGNATURE_TOLERANCE_SECONDS) {
+    throw new Error('Webhook signature has expired');
+  }
+
+  const expected = Buffer.from(computeSignature(timestamp, payload));
+  const received = Buffer.from(parts.v1);
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    throw new Error('Invalid webhook signature');
+  }
+
+  return JSON.parse(payload);
+};
+
+export default {
+  name: 'mock',
+  createPaymentIntent,
+  cancelPaymentIntent,
+  createRefund,
+  constructWebhookEvent,
+  signPayload
+};
@@ -0,0 +1,58 @@
+import mongoose from 'mongoose';
+import Review, { REVIEW_CATEGORIES } from '../models/Review.js';
+import Listing from '../models/Listing.js';
+import User from '../models/User.js';
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Recompute a listing's rating and category averages from its listing reviews
+export const updateListingRating = async (listingId) => {
+  const [stats] = await Review.aggregate([
+    { $match: { listing: new mongoose.Types.ObjectId(listingId), type: 'listing' } },
+    {
+      $group: {
+        _id: null,
+        average: { $avg: '$rating' },
+        count: { $sum: 1 },
+        // $avg skips reviews without sub-ratings
+        ...Object.fromEntries(REVIEW_CATEGORIES.map(category => [
+          category, { $avg: `$ratings.${category}` }
+        ]))
+      }
+    }
+  ]);
+
+  const rating = {
+    average: stats ? round(stats.average) : 0,
+    count: stats ? stats.count : 0,
+    categories: Object.fromEntries(REVIEW_CATEGORIES.map(category => [
+      category, stats && stats[category] ? round(stats[category]) : 0
+    ]))
+  };
+
+  await Listing.updateOne({ _id: listingId }, { rating });
+  return rating;
+};
+
+// Recompute a user's rating as a guest from hosts' reviews
+export const updateGuestRating = async (userId) => {
+  const [stats] = await Review.aggregate([
+    { $match: { subject: new mongoose.Types.ObjectId(userId), type: 'guest' } },
+    { $group: { _id: null, average: { $avg: '$rating' }, count: { $sum: 1 } } }
+  ]);
+
+  const guestRating = {
+    average: stats ? round(stats.average) : 0,
+    count: stats ? stats.count : 0
+  };
+
+  await User.updateOne({ _id: userId }, { guestRating });
+  return guestRating;
+};
+
+// Refresh whichever aggregate a created, edited or deleted review feeds into
+export const updateRatingsFor = (review) => {
+  return review.type === 'listing'
+    ? updateListingRating(review.listing)
+    : updateGuestRating(review.subject);
+};
@@ -0,0 +1,116 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import RefreshToken from '../models/RefreshToken.js';
+import User from '../models/User.js';
+import { generateToken, hashToken } from '../utils/tokens.js';
+
+const DEFAULT_REFRESH_TOKEN_DAYS = 30;
+
+// Error with an HTTP status for the routes to pass through
+export class SessionError extends Error {
+  constructor(message, status = 401) {
+    super(message);
+    this.name = 'SessionError';
+    this.status = status;
+  }
+}
+
+// Short-lived JWT carrying the user's role and token version
+export const generateAccessToken = (user) => {
+  return jwt.sign(
+    { userId: user._id, role: user.role, tokenVersion: user.tokenVersion || 0 },
+    process.env.JWT_SECRET,
+    { expiresIn: process.env.JWT_EXPIRE || '15m' }
+  );
+};
+
+const createRefreshToken = async (user, req, family = crypto.randomUUID()) => {
+  const token = generateToken(48);
+  const days = parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS) || DEFAULT_REFRESH_TOKEN_DAYS;
+
+  await RefreshToken.create({
+    user: user._id,
+    tokenHash: hashToken(token),
+    family,
+    tokenVersion: user.tokenVersion || 0,
+    expiresAt: new Date(Date.now() + days * 24 * 60 * 60 * 1000),
+    createdByIp: req.ip,
+    userAgent: req.get('User-Agent')
+  });
+
+  return token;
+};
+
+// Start a new session: an access token plus a refresh token in a new family
+export const issueSession = async (user, req) => {
+  return {
+    token: generateAccessToken(user),
+    refreshToken: await createRefreshToken(user, req)
+  };
+};
+
+// Exchange a refresh token for a new access token and refresh token. The old
+// refresh token is revoked; presenting it again revokes the whole family.
+export const rotateSession = async (rawToken, req) => {
+  const tokenHash = hashToken(rawToken);
+
+  // Claim the token atomically so concurrent refreshes can't both rotate it
+  const stored = await RefreshToken.findOneAndUpdate(
+    { tokenHash, revokedAt: null },
+    { revokedAt: new Date() },
+    { new: true }
+  );
+
+  if (!stored) {
+    const revoked = await RefreshToken.findOne({ tokenHash });
+    if (!revoked) {
+      throw new SessionError('Invalid refresh token');
+    }
+
+    // A rotated token was used again, so it has probably been stolen
+    await RefreshToken.updateMany(
+      { family: revoked.family, revokedAt: null },
+      { revokedAt: new Date() }
+    );
+    throw new SessionError('Refresh token has been revoked');
+  }
+
+  if (stored.expiresAt <= new Date()) {
+    throw new SessionError('Refresh token expired');
+  }
+
+  const user = await User.findById(stored.user);
+  if (!user || (user.tokenVersion || 0) !== stored.tokenVersion) {
+    throw new SessionError('Session has been revoked');
+  }
+
+  if (user.isSuspended) {
+    throw new SessionError('Your account has been suspended', 403);
+  }
+
+  const refreshToken = await createRefreshToken(user, req, stored.family);
+  await RefreshToken.updateOne(
+    { _id: stored._id },
+    { replacedBy: hashToken(refreshToken) }
+  );
+
+  return { user, token: generateAccessToken(user), refreshToken };
+};
+
+// Revoke a single refresh token (one device)
+export const revokeSession = async (rawToken) => {
+  await RefreshToken.updateOne(
+    { tokenHash: hashToken(rawToken), revokedAt: null },
+    { revokedAt: new Date() }
+  );
+};
+
+// Revoke every session of a user: bumping tokenVersion rejects outstanding
+// access tokens, and all refresh tokens are revoked
+export const revokeAllSessions = async (userId) => {
+  await User.updateOne({ _id: userId }, { $inc: { tokenVersion: 1 } });
+  await RefreshToken.updateMany(
+    { user: userId, revokedAt: null },
+    { revokedAt: new Date() }
+  );
+};
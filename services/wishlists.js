@@ -0,0 +1,31 @@
+import Wishlist from '../models/Wishlist.js';
+
+// Ids (as strings) of the given listings that the user has saved to any wishlist
+export const getSavedListingIds = async (userId, listingIds) => {
+  const wishlists = await Wishlist.find({
+    user: userId,
+    'listings.listing': { $in: listingIds }
+  }).select('listings.listing');
+
+  const wanted = new Set(listingIds.map(id => id.toString()));
+  const saved = new Set();
+  wishlists.forEach(wishlist => {
+    wishlist.listings.forEach(({ listing }) => {
+      if (wanted.has(listing.toString())) {
+        saved.add(listing.toString());
+      }
+    });
+  });
+
+  return saved;
+};
+
+// Add `isSaved` to listings (documents or plain objects) for a logged-in user
+export const withSavedFlags = async (userId, listings) => {
+  const savedIds = await getSavedListingIds(userId, listings.map(listing => listing._id));
+
+  return listings.map(listing => ({
+    ...(typeof listing.toJSON === 'function' ? listing.toJSON() : listing),
+    isSaved: savedIds.has(listing._id.toString())
+  }));
+};
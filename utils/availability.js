@@ -0,0 +1,177 @@
+import Booking from '../models/Booking.js';
+import Listing, { MAX_PREPARATION_DAYS } from '../models/Listing.js';
+import { addDays, eachNight, startOfDay, toDateKey } from './dates.js';
+import { getNightlyRate } from './pricing.js';
+import { getPreparationRange } from './stayRules.js';
+
+// Mongo condition matching bookings that occupy the listing's nights:
+// confirmed bookings and requests still waiting on the host, as long as
+// they are paid or their payment hold hasn't lapsed. Lapsed holds and
+// overdue requests stop counting straight away, before the sweeper
+// marks them expired or declined.
+export const activeBookingCondition = (now = new Date()) => {
+  const paidOrHeld = {
+    $or: [
+      { paymentStatus: 'paid' },
+      { holdExpiresAt: { $not: { $lte: now } } }
+    ]
+  };
+
+  return {
+    $or: [
+      { status: 'confirmed', ...paidOrHeld },
+      { status: 'pending', responseDeadline: { $not: { $lte: now } }, ...paidOrHeld }
+    ]
+  };
+};
+
+// Mongo condition matching bookings that overlap the [checkIn, checkOut) range
+export const overlapCondition = (checkIn, checkOut) => ({
+  checkIn: { $lt: checkOut },
+  checkOut: { $gt: checkIn }
+});
+
+// Build listing filter conditions that exclude listings unavailable between
+// checkIn and checkOut. Returned conditions are meant to be merged with $and
+// so that both the page query and countDocuments see the same filter.
+export const buildAvailabilityFilter = async (checkIn, checkOut) => {
+  const now = new Date();
+  const bookedListingIds = await Booking.distinct('listing', {
+    ...activeBookingCondition(now),
+    ...overlapCondition(checkIn, checkOut)
+  });
+
+  // Bookings close to the stay rule out listings whose preparation days
+  // they fall within
+  const nearby = await Booking.find({
+    listing: { $nin: bookedListingIds },
+    ...activeBookingCondition(now),
+    ...overlapCondition(
+      addDays(startOfDay(checkIn), -MAX_PREPARATION_DAYS),
+      addDays(startOfDay(checkOut), MAX_PREPARATION_DAYS)
+    )
+  }).select('listing checkIn checkOut');
+
+  if (nearby.length > 0) {
+    const preparing = await Listing.find({
+      _id: { $in: [...new Set(nearby.map(booking => booking.listing.toString()))] },
+      'stayRules.preparationDays': { $gt: 0 }
+    }).select('stayRules.preparationDays');
+
+    preparing.forEach(listing => {
+      const { from, to } = getPreparationRange(listing, checkIn, checkOut);
+      const tooClose = nearby.some(booking => booking.listing.equals(listing._id) &&
+        booking.checkIn < to && booking.checkOut > from);
+      if (tooClose) {
+        bookedListingIds.push(listing._id);
+      }
+    });
+  }
+
+  // A null start/end date (or a missing one) means the listing has no limit
+  return [
+    { _id: { $nin: bookedListingIds } },
+    {
+      $or: [
+        { 'availability.startDate': null },
+        { 'availability.startDate': { $lte: checkIn } }
+      ]
+    },
+    {
+      $or: [
+        { 'availability.endDate': null },
+        { 'availability.endDate': { $gte: checkOut } }
+      ]
+    },
+    {
+      'availability.blockedDates': {
+        $not: { $elemMatch: { $gte: startOfDay(checkIn), $lt: checkOut } }
+      }
+    }
+  ];
+};
+
+// Check a listing's own availability settings for a stay. Returns a message
+// describing why the stay isn't possible, or null if the dates are open.
+// Existing bookings are not checked here.
+export const getUnavailableReason = (listing, checkIn, checkOut) => {
+  const { startDate, endDate, blockedDates = [] } = listing.availability || {};
+
+  if (startDate && checkIn < startDate) {
+    return `This property is only available from ${toDateKey(startDate)}`;
+  }
+
+  if (endDate && checkOut > endDate) {
+    return `This property is only available until ${toDateKey(endDate)}`;
+  }
+
+  const blocked = new Set(blockedDates.map(toDateKey));
+  const blockedNights = eachNight(checkIn, checkOut).map(toDateKey).filter(key => blocked.has(key));
+  if (blockedNights.length > 0) {
+    return `The host has blocked these dates: ${blockedNights.join(', ')}`;
+  }
+
+  return null;
+};
+
+// Find an active booking that ends or starts within the listing's
+// preparation days of the stay. Bookings overlapping the stay itself are
+// left to the night reservation conflict check.
+export const findPreparationConflict = async (listing, checkIn, checkOut) => {
+  if (!listing.stayRules?.preparationDays) {
+    return null;
+  }
+
+  const { from, to } = getPreparationRange(listing, checkIn, checkOut);
+  const nearby = await Booking.find({
+    listing: listing._id,
+    ...activeBookingCondition(),
+    ...overlapCondition(from, to)
+  }).select('checkIn checkOut');
+
+  return nearby.find(booking => !(booking.checkIn < checkOut && booking.checkOut > checkIn)) || null;
+};
+
+// Build a day-by-day calendar for a listing between from (inclusive) and to
+// (exclusive). Each day is 'booked', 'preparation' (kept free around a
+// booking for the listing's preparation days), 'blocked' or 'available',
+// with its price.
+export const buildCalendar = async (listing, from, to) => {
+  const preparationDays = listing.stayRules?.preparationDays || 0;
+  const bookings = await Booking.find({
+    listing: listing._id,
+    ...activeBookingCondition(),
+    ...overlapCondition(addDays(from, -preparationDays), addDays(to, preparationDays))
+  }).select('checkIn checkOut');
+
+  const booked = new Set();
+  const preparation = new Set();
+  for (const booking of bookings) {
+    eachNight(booking.checkIn, booking.checkOut).forEach(night => booked.add(toDateKey(night)));
+    // A stay on the nights before check-in would end without time to
+    // prepare, and the nights after check-out are for preparation
+    const { from: before, to: after } = getPreparationRange(listing, booking.checkIn, booking.checkOut);
+    [...eachNight(before, booking.checkIn), ...eachNight(booking.checkOut, after)]
+      .forEach(night => preparation.add(toDateKey(night)));
+  }
+
+  const { startDate, endDate, blockedDates = [] } = listing.availability || {};
+  const blocked = new Set(blockedDates.map(toDateKey));
+
+  return eachNight(from, to).map(date => {
+    const key = toDateKey(date);
+    const outsideWindow = (startDate && date < startOfDay(startDate)) ||
+      (endDate && addDays(date, 1) > endDate);
+
+    let status = 'available';
+    if (booked.has(key)) {
+      status = 'booked';
+    } else if (preparation.has(key)) {
+      status = 'preparation';
+    } else if (blocked.has(key) || outsideWindow) {
+      status = 'blocked';
+    }
+
+    return { date: key, status, price: getNightlyRate(listing, date) };
+  });
+};
@@ -0,0 +1,59 @@
+// Standard cancellation policies. Each tier refunds `refundPercent` of the
+// booking total when the guest cancels at least `hoursBeforeCheckIn` hours
+// before check-in; anything later than the last tier gets nothing back.
+export const CANCELLATION_POLICIES = {
+  flexible: [
+    { hoursBeforeCheckIn: 24, refundPercent: 100 }
+  ],
+  moderate: [
+    { hoursBeforeCheckIn: 5 * 24, refundPercent: 100 },
+    { hoursBeforeCheckIn: 24, refundPercent: 50 }
+  ],
+  strict: [
+    { hoursBeforeCheckIn: 14 * 24, refundPercent: 100 },
+    { hoursBeforeCheckIn: 7 * 24, refundPercent: 50 }
+  ]
+};
+
+export const CANCELLATION_POLICY_TYPES = [...Object.keys(CANCELLATION_POLICIES), 'custom'];
+
+export const DEFAULT_CANCELLATION_POLICY = 'moderate';
+
+// Custom policies need at least one refund tier. Returns an error message,
+// or null when the policy is complete.
+export const getCancellationPolicyError = (policy = {}) => {
+  if (policy.type === 'custom' && !(policy.tiers && policy.tiers.length > 0)) {
+    return 'Custom cancellation policy requires at least one refund tier';
+  }
+  return null;
+};
+
+// Resolve the refund tiers for a listing's policy, most generous first
+export const getPolicyTiers = (policy = {}) => {
+  const type = policy.type || DEFAULT_CANCELLATION_POLICY;
+  const tiers = type === 'custom' ? policy.tiers || [] : CANCELLATION_POLICIES[type] || [];
+  return [...tiers].sort((a, b) => b.hoursBeforeCheckIn - a.hoursBeforeCheckIn);
+};
+
+// Work out how much of a booking is refunded when it is cancelled at `now`.
+// Cancellations by the host or an admin always refund the guest in full.
+export const computeRefund = (booking, policy, { cancelledBy = 'guest', now = new Date() } = {}) => {
+  const hoursBeforeCheckIn = Math.max(0, (booking.checkIn - now) / (1000 * 60 * 60));
+
+  let refundPercent = 0;
+  if (cancelledBy !== 'guest') {
+    refundPercent = 100;
+  } else {
+    const tier = getPolicyTiers(policy).find(t => hoursBeforeCheckIn >= t.hoursBeforeCheckIn);
+    refundPercent = tier ? tier.refundPercent : 0;
+  }
+
+  const refundAmount = Math.round(booking.totalAmount * refundPercent) / 100;
+
+  return {
+    policy: policy?.type || DEFAULT_CANCELLATION_POLICY,
+    hoursBeforeCheckIn: Math.floor(hoursBeforeCheckIn),
+    refundPercent,
+    refundAmount
+  };
+};
@@ -0,0 +1,87 @@
+// Number of decimal places a currency is charged in, e.g. 2 for USD and 0
+// for JPY or KRW
+export const getMinorUnits = (currency) => new Intl.NumberFormat('en', { style: 'currency', currency })
+  .resolvedOptions().maximumFractionDigits;
+
+const roundMoney = (amount, currency) => {
+  const factor = 10 ** getMinorUnits(currency);
+  return Math.round(amount * factor) / factor;
+};
+
+// Currency that exchange rates are quoted against and that listings without
+// their own currency are priced in. PAYMENT_CURRENCY is still honoured for
+// older configurations.
+export const getBaseCurrency = () =>
+  (process.env.BASE_CURRENCY || process.env.PAYMENT_CURRENCY || 'USD').toUpperCase();
+
+// Raised when a currency has no exchange rate
+export class CurrencyError extends Error {
+  constructor(currency) {
+    super(`No exchange rate is set for ${currency}`);
+    this.name = 'CurrencyError';
+    this.status = 400;
+  }
+}
+
+// Factor that turns an amount in `from` into `to`. `rates` maps currency
+// codes to units per 1 base currency unit, as built by getExchangeRates.
+export const getConversionRate = (rates, from, to) => {
+  if (from === to) {
+    return 1;
+  }
+
+  [from, to].forEach(currency => {
+    if (!rates.has(currency)) {
+      throw new CurrencyError(currency);
+    }
+  });
+
+  return rates.get(to) / rates.get(from);
+};
+
+// Convert an amount at `rate`, rounded to the minor units of the currency
+// it is converted into
+export const convertAmount = (amount, rate, currency) => roundMoney(amount * rate, currency);
+
+// Mongo condition matching listings whose nightly price, converted to
+// `currency`, lies within [min, max]. Listings in a currency without a rate
+// can't be compared and never match.
+export const priceRangeCondition = (rates, currency, min, max) => {
+  const base = getBaseCurrency();
+
+  return {
+    $or: [...rates.keys()].map(listingCurrency => {
+      const rate = getConversionRate(rates, listingCurrency, currency);
+      const price = {};
+      if (min != null) price.$gte = min / rate;
+      if (max != null) price.$lte = max / rate;
+
+      return {
+        // Listings saved before currencies existed are in the base currency
+        currency: listingCurrency === base ? { $in: [base, null] } : listingCurrency,
+        price
+      };
+    })
+  };
+};
+
+// Add `displayPrice` (the nightly price in `currency`) to a listing document
+// or plain object; null when the listing's currency has no rate
+export const withDisplayPrice = (listing, rates, currency) => {
+  const data = typeof listing.toJSON === 'function' ? listing.toJSON() : listing;
+  const listingCurrency = data.currency || getBaseCurrency();
+
+  if (!rates.has(listingCurrency)) {
+    return { ...data, displayPrice: null };
+  }
+
+  const exchangeRate = getConversionRate(rates, listingCurrency, currency);
+  return {
+    ...data,
+    displayPrice: {
+      currency,
+      amount: convertAmount(data.price, exchangeRate, currency),
+      exchangeRate
+    }
+  };
+};
@@ -0,0 +1,22 @@
+export const DAY_MS = 1000 * 60 * 60 * 24;
+
+// Normalize a date to midnight UTC so nights line up with calendar days
+export const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setUTCHours(0, 0, 0, 0);
+  return day;
+};
+
+export const addDays = (date, days) => new Date(date.getTime() + days * DAY_MS);
+
+// Format a date as YYYY-MM-DD (UTC)
+export const toDateKey = (date) => new Date(date).toISOString().slice(0, 10);
+
+// List every night of a stay, i.e. each day from checkIn up to (not including) checkOut
+export const eachNight = (checkIn, checkOut) => {
+  const nights = [];
+  for (let day = startOfDay(checkIn); day < startOfDay(checkOut); day = addDays(day, 1)) {
+    nights.push(day);
+  }
+  return nights;
+};
@@ -0,0 +1,56 @@
+export const EARTH_RADIUS_KM = 6378.1;
+
+// Convert { latitude, longitude } into a GeoJSON point, or null if either is missing
+export const toGeoPoint = (coordinates = {}) => {
+  const latitude = parseFloat(coordinates.latitude);
+  const longitude = parseFloat(coordinates.longitude);
+
+  if (Number.isNaN(latitude) || Number.isNaN(longitude)) {
+    return null;
+  }
+
+  // GeoJSON orders coordinates as [longitude, latitude]
+  return { type: 'Point', coordinates: [longitude, latitude] };
+};
+
+const boxCondition = (bottomLeft, topRight) => ({
+  'location.geo': { $geoWithin: { $box: [bottomLeft, topRight] } }
+});
+
+// Mongo condition for listings inside a map viewport given its south-west
+// and north-east corners. $box has straight edges like the map, unlike a
+// GeoJSON polygon whose edges follow great circles. A viewport crossing the
+// antimeridian (swLng > neLng) is split into two boxes.
+export const boundingBoxCondition = ({ swLat, swLng, neLat, neLng }) => {
+  if (swLng <= neLng) {
+    return boxCondition([swLng, swLat], [neLng, neLat]);
+  }
+
+  return {
+    $or: [
+      boxCondition([swLng, swLat], [180, neLat]),
+      boxCondition([-180, swLat], [neLng, neLat])
+    ]
+  };
+};
+
+// Mongo condition for points within radiusKm of a center point
+export const radiusCondition = ({ lat, lng, radiusKm }) => ({
+  $geoWithin: {
+    $centerSphere: [[lng, lat], radiusKm / EARTH_RADIUS_KM]
+  }
+});
+
+// Great-circle distance in km between two GeoJSON points
+export const distanceKm = (from, to) => {
+  const [lng1, lat1] = from.coordinates;
+  const [lng2, lat2] = to.coordinates;
+  const toRadians = (degrees) => degrees * Math.PI / 180;
+
+  const dLat = toRadians(lat2 - lat1);
+  const dLng = toRadians(lng2 - lng1);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+};
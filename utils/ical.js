@@ -0,0 +1,115 @@
+import { addDays } from './dates.js';
+
+// Minimal iCalendar (RFC 5545) support: enough to exchange booked and
+// blocked dates with other platforms as VEVENTs.
+
+const formatDate = (date) => date.toISOString().slice(0, 10).replace(/-/g, '');
+
+const formatDateTime = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+const escapeText = (text = '') => String(text)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// Fold lines longer than 75 characters as required by the spec
+const foldLine = (line) => {
+  const parts = [];
+  for (let i = 0; i < line.length; i += 74) {
+    parts.push((i === 0 ? '' : ' ') + line.slice(i, i + 74));
+  }
+  return parts.join('\r\n');
+};
+
+// Build an .ics document from all-day events ({ uid, summary, start, end })
+// where end is exclusive
+export const buildICS = ({ name, events }) => {
+  const stamp = formatDateTime(new Date());
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//StayFinder//Listing Calendar//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`
+  ];
+
+  for (const event of events) {
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${event.uid}`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART;VALUE=DATE:${formatDate(event.start)}`,
+      `DTEND;VALUE=DATE:${formatDate(event.end)}`,
+      `SUMMARY:${escapeText(event.summary)}`,
+      'END:VEVENT'
+    );
+  }
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+// Parse DATE (20250301) and DATE-TIME (20250301T150000Z) values
+const parseDateValue = (value) => {
+  const match = value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/);
+  if (!match) {
+    return null;
+  }
+  const [, year, month, day, hour = '00', minute = '00', second = '00'] = match;
+  return new Date(Date.UTC(year, month - 1, day, hour, minute, second));
+};
+
+// Parse the VEVENTs of an .ics document into { uid, summary, start, end }.
+// Events without a usable DTSTART are skipped; a missing DTEND means a
+// single day.
+export const parseICS = (text) => {
+  // Unfold continuation lines before splitting into properties
+  const lines = String(text).replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+
+  const events = [];
+  let current = null;
+
+  for (const line of lines) {
+    if (line === 'BEGIN:VEVENT') {
+      current = {};
+      continue;
+    }
+
+    if (line === 'END:VEVENT') {
+      if (current && current.start) {
+        events.push({
+          ...current,
+          end: current.end && current.end > current.start ? current.end : addDays(current.start, 1)
+        });
+      }
+      current = null;
+      continue;
+    }
+
+    if (!current) {
+      continue;
+    }
+
+    const separator = line.indexOf(':');
+    if (separator === -1) {
+      continue;
+    }
+
+    const name = line.slice(0, separator).split(';')[0].toUpperCase();
+    const value = line.slice(separator + 1).trim();
+
+    if (name === 'DTSTART') {
+      current.start = parseDateValue(value);
+    } else if (name === 'DTEND') {
+      current.end = parseDateValue(value);
+    } else if (name === 'UID') {
+      current.uid = value;
+    } else if (name === 'SUMMARY') {
+      current.summary = value.replace(/\\n/gi, '\n').replace(/\\([;,\\])/g, '$1');
+    }
+  }
+
+  return events;
+};
@@ -0,0 +1,74 @@
+import { eachNight, startOfDay } from './dates.js';
+
+// Nights starting on these UTC weekdays use the weekend rate (Fri, Sat)
+const WEEKEND_DAYS = [5, 6];
+
+export const WEEKLY_STAY_NIGHTS = 7;
+export const MONTHLY_STAY_NIGHTS = 28;
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+// Price a single night: seasonal overrides win over the weekend rate,
+// which wins over the base price
+export const getNightlyRate = (listing, date) => {
+  const pricing = listing.pricing || {};
+
+  const season = (pricing.seasonalRates || []).find(rate =>
+    startOfDay(rate.startDate) <= date && date <= startOfDay(rate.endDate)
+  );
+  if (season) {
+    return season.price;
+  }
+
+  if (pricing.weekendPrice != null && WEEKEND_DAYS.includes(date.getUTCDay())) {
+    return pricing.weekendPrice;
+  }
+
+  return listing.price;
+};
+
+// Build the itemized price for a stay. Used both for quotes and for the
+// amount charged when a booking is created, so the two always agree.
+export const calculatePrice = (listing, checkIn, checkOut, guests = {}) => {
+  const pricing = listing.pricing || {};
+
+  const nights = eachNight(checkIn, checkOut).map(date => ({
+    date,
+    price: getNightlyRate(listing, date)
+  }));
+  const nightsSubtotal = roundMoney(nights.reduce((sum, night) => sum + night.price, 0));
+
+  // Length-of-stay discount; the monthly discount replaces the weekly one
+  let discount = null;
+  if (nights.length >= MONTHLY_STAY_NIGHTS && pricing.monthlyDiscount) {
+    discount = { type: 'monthly', percent: pricing.monthlyDiscount };
+  } else if (nights.length >= WEEKLY_STAY_NIGHTS && pricing.weeklyDiscount) {
+    discount = { type: 'weekly', percent: pricing.weeklyDiscount };
+  }
+  if (discount) {
+    discount.amount = roundMoney(nightsSubtotal * discount.percent / 100);
+  }
+
+  const cleaningFee = pricing.cleaningFee || 0;
+
+  // Infants don't count towards extra guests
+  const chargeableGuests = (guests.adults || 1) + (guests.children || 0);
+  const extraGuests = Math.max(0, chargeableGuests - (pricing.guestsIncluded || listing.maxGuests));
+  const extraGuestFee = roundMoney(extraGuests * (pricing.extraGuestFee || 0) * nights.length);
+
+  const total = roundMoney(
+    nightsSubtotal - (discount ? discount.amount : 0) + cleaningFee + extraGuestFee
+  );
+
+  return {
+    nights,
+    nightsCount: nights.length,
+    nightsSubtotal,
+    averageNightlyRate: nights.length ? roundMoney(nightsSubtotal / nights.length) : 0,
+    discount,
+    cleaningFee,
+    extraGuests,
+    extraGuestFee,
+    total
+  };
+};
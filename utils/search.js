@@ -0,0 +1,66 @@
+const SNIPPET_LENGTH = 160;
+
+const escapeHtml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Roughly undo the suffixes Mongo's text search stems away, so "beaches"
+// still highlights "beach" and "beachfront"
+const stem = (term) => term.replace(/(ing|ed|es|s)$/, '') || term;
+
+// Split a $text search string into the terms worth highlighting. Negated
+// terms ("-pool") are skipped; quoted phrases are split into words.
+export const getSearchTerms = (q) => {
+  return q
+    .split(/\s+/)
+    .filter(word => word && !word.startsWith('-'))
+    .map(word => stem(word.replace(/["']/g, '').toLowerCase()))
+    .filter(word => word.length > 1);
+};
+
+// Wrap matching words in <mark>; everything else is HTML-escaped
+const highlight = (text, pattern) => {
+  let result = '';
+  let lastIndex = 0;
+  for (const match of text.matchAll(pattern)) {
+    result += escapeHtml(text.slice(lastIndex, match.index)) + `<mark>${escapeHtml(match[0])}</mark>`;
+    lastIndex = match.index + match[0].length;
+  }
+  return result + escapeHtml(text.slice(lastIndex));
+};
+
+// Cut a window of text around the first match
+const snippet = (text, pattern) => {
+  const first = text.search(pattern);
+  if (first === -1 || text.length <= SNIPPET_LENGTH) {
+    return text.length <= SNIPPET_LENGTH ? text : `${text.slice(0, SNIPPET_LENGTH).trimEnd()}…`;
+  }
+
+  const start = Math.max(0, first - SNIPPET_LENGTH / 4);
+  const end = Math.min(text.length, start + SNIPPET_LENGTH);
+  return `${start > 0 ? '…' : ''}${text.slice(start, end).trim()}${end < text.length ? '…' : ''}`;
+};
+
+// Build HTML-safe highlighted snippets for a listing's title, description
+// and location for the search string q
+export const buildHighlights = (listing, q) => {
+  const terms = getSearchTerms(q);
+  if (terms.length === 0) {
+    return {};
+  }
+
+  const pattern = new RegExp(`\\b(?:${terms.map(escapeRegex).join('|')})\\w*`, 'gi');
+  const { city, state, country } = listing.location || {};
+  const location = [city, state, country].filter(Boolean).join(', ');
+
+  return {
+    title: highlight(listing.title || '', pattern),
+    description: highlight(snippet(listing.description || '', new RegExp(pattern.source, 'i')), pattern),
+    location: highlight(location, pattern)
+  };
+};
@@ -0,0 +1,124 @@
+import { DAY_MS, addDays, eachNight, startOfDay, toDateKey } from './dates.js';
+
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const HOUR_MS = 60 * 60 * 1000;
+
+// Longest stay that can be booked or quoted, whatever the listing allows
+export const MAX_STAY_NIGHTS = 365;
+
+export const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+// Date validator check: reject stays over MAX_STAY_NIGHTS before anything
+// expands them night by night
+export const checkStayLength = (checkIn, checkOut) => {
+  const nights = Math.round((startOfDay(checkOut) - startOfDay(checkIn)) / DAY_MS);
+  if (nights > MAX_STAY_NIGHTS) {
+    throw new Error(`Stays cannot be longer than ${plural(MAX_STAY_NIGHTS, 'night')}`);
+  }
+  return true;
+};
+
+// Min/max nights for a stay: a season containing the check-in date
+// overrides the listing's defaults
+export const getNightLimits = (listing, checkIn) => {
+  const rules = listing.stayRules || {};
+  const day = startOfDay(checkIn);
+
+  const season = (rules.seasons || []).find(entry =>
+    startOfDay(entry.startDate) <= day && day <= startOfDay(entry.endDate)
+  );
+
+  return {
+    minNights: season?.minNights ?? rules.minNights ?? 1,
+    maxNights: season?.maxNights ?? rules.maxNights ?? null,
+    season: season || null
+  };
+};
+
+// Check that no maximum stay is shorter than its minimum, including season
+// overrides. Returns an error message, or null when the rules are consistent.
+// Update queries can't run this as a schema validator, so routes call it.
+export const getStayRulesError = (rules = {}) => {
+  const minNights = rules.minNights ?? 1;
+  if (rules.maxNights != null && rules.maxNights < minNights) {
+    return 'Maximum stay cannot be shorter than the minimum stay';
+  }
+
+  const invalidSeason = (rules.seasons || []).find(season => {
+    const seasonMax = season.maxNights ?? rules.maxNights;
+    return seasonMax != null && seasonMax < (season.minNights ?? minNights);
+  });
+  if (invalidSeason) {
+    return `Maximum stay cannot be shorter than the minimum stay in season ${invalidSeason.name || toDateKey(invalidSeason.startDate)}`;
+  }
+
+  return null;
+};
+
+// Check a stay against the listing's stay rules (except preparation days,
+// which depend on other bookings). Returns a list of { rule, message }
+// violations, empty when the stay is allowed.
+export const getStayRuleViolations = (listing, checkIn, checkOut, now = new Date()) => {
+  const rules = listing.stayRules || {};
+  const violations = [];
+  const nights = eachNight(checkIn, checkOut).length;
+
+  const { minNights, maxNights, season } = getNightLimits(listing, checkIn);
+  const seasonNote = season
+    ? ` for stays starting between ${toDateKey(season.startDate)} and ${toDateKey(season.endDate)}`
+    : '';
+
+  if (nights < minNights) {
+    violations.push({
+      rule: 'minNights',
+      message: `This property requires a minimum stay of ${plural(minNights, 'night')}${seasonNote}`
+    });
+  }
+
+  if (maxNights != null && nights > maxNights) {
+    violations.push({
+      rule: 'maxNights',
+      message: `This property allows a maximum stay of ${plural(maxNights, 'night')}${seasonNote}`
+    });
+  }
+
+  // Check-in is taken as the start of the check-in day (UTC)
+  const checkInDay = startOfDay(checkIn);
+
+  if (rules.advanceNoticeHours > 0 &&
+      checkInDay.getTime() - now.getTime() < rules.advanceNoticeHours * HOUR_MS) {
+    violations.push({
+      rule: 'advanceNoticeHours',
+      message: `This property must be booked at least ${plural(rules.advanceNoticeHours, 'hour')} before check-in`
+    });
+  }
+
+  if (rules.bookingWindowDays &&
+      checkInDay > addDays(startOfDay(now), rules.bookingWindowDays)) {
+    violations.push({
+      rule: 'bookingWindowDays',
+      message: `This property can only be booked up to ${plural(rules.bookingWindowDays, 'day')} in advance`
+    });
+  }
+
+  const checkInDays = rules.checkInDays || [];
+  if (checkInDays.length > 0 && !checkInDays.includes(checkInDay.getUTCDay())) {
+    const allowed = [...checkInDays].sort((a, b) => a - b).map(day => WEEKDAY_NAMES[day]);
+    violations.push({
+      rule: 'checkInDays',
+      message: `Check-in is only allowed on ${allowed.join(', ')}`
+    });
+  }
+
+  return violations;
+};
+
+// The stay widened by the listing's preparation days on both sides. Any
+// active booking overlapping this range is too close to the stay.
+export const getPreparationRange = (listing, checkIn, checkOut) => {
+  const days = listing.stayRules?.preparationDays || 0;
+  return {
+    from: addDays(startOfDay(checkIn), -days),
+    to: addDays(startOfDay(checkOut), days)
+  };
+};
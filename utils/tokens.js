@@ -0,0 +1,6 @@
+import crypto from 'crypto';
+
+// Random token for links and refresh tokens; only its hash is stored
+export const generateToken = (bytes = 32) => crypto.randomBytes(bytes).toString('hex');
+
+export const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');